@@ -1,29 +1,148 @@
 #!/usr/bin/env node
 
-import { spawnSync } from 'node:child_process';
-import { glob, readFile } from 'node:fs/promises';
-import { resolve, join } from 'node:path';
-import { platform } from 'node:os';
-import { checkPermission } from '../lib/checker.js';
+import { spawn } from 'node:child_process';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, resolve, join } from 'node:path';
+import { createInterface } from 'node:readline/promises';
+import { parseArgs } from 'node:util';
+import { scan } from '../index.js';
+import { activeRules, SEVERITIES, isAtLeast } from '../lib/checker.js';
+import {
+  formatText,
+  formatJson,
+  formatEffectiveText,
+  formatEffectiveJson,
+  formatSummary,
+  formatWatchText,
+  formatHistoryText,
+  formatHistoryJson,
+  formatRiskText,
+  formatRiskJson,
+} from '../lib/report.js';
+import { formatSarif } from '../lib/sarif.js';
+import { formatHtml } from '../lib/html.js';
+import { fileExists, userSettingsPath } from '../lib/scopes.js';
+import { mergePermissionLayers, auditEffectivePermissions, groupByFile, loadProjectLayers } from '../lib/effective.js';
+import { fixableIndexes, fixSettingsText, editSettingsText } from '../lib/fix.js';
+import { unifiedDiff } from '../lib/diff.js';
+import { reviewFindings } from '../lib/interactive.js';
+import { isDirectory, loadScanConfig } from '../lib/scan.js';
+import { watchSettings } from '../lib/watch.js';
+import { DEFAULT_HOOK_COMMAND, hookDecision, loadHookConfig, formatHookOutput, installHookText } from '../lib/hook.js';
+import { auditHistory, transcriptsDir } from '../lib/history.js';
+import {
+  DEFAULT_BASELINE_FILE,
+  fingerprint,
+  readBaseline,
+  writeBaseline,
+  addToBaseline,
+  applyBaseline,
+} from '../lib/baseline.js';
 
 const HELP_TEXT = `
 cc-safe - Security scanner for Claude Code settings files
 
-Scans directories for .claude/settings.json and .claude/settings.local.json
-files, flagging dangerous patterns in approved commands that could compromise
-your host machine.
+Scans directories for .claude/settings.json, .claude/settings.local.json and
+.mcp.json files, flagging dangerous patterns in approved commands, hooks, status
+line and MCP server commands that could compromise your host machine.
 
 USAGE
   cc-safe <directory> [options]
+  cc-safe effective [project-dir] [options]
+  cc-safe watch [directory] [options]
+  cc-safe history [project-dir] [options]
+  cc-safe hook
+  cc-safe install-hook [settings-file] [options]
 
 EXAMPLES
   cc-safe .                  Scan current directory and all subfolders
   cc-safe ~/projects         Scan a specific directory and all subfolders
   cc-safe . --no-low         Hide LOW severity findings
+  cc-safe . --format json    Print findings as a JSON document
+  cc-safe . --format sarif   Print a SARIF 2.1.0 log for code scanning tools
+  cc-safe . --format html --output report.html
+                             Write a self-contained HTML report to share
+  cc-safe ~/projects --summary
+                             Rank projects by risk score and count how many hit each rule
+  cc-safe . --fail-on HIGH   Exit with code 1 only when HIGH risks are found
+  cc-safe . --all-scopes     Also scan ~/.claude/settings.json and managed policy settings
+  cc-safe effective .        Show the merged permissions that apply to this project
+  cc-safe watch ~/projects --on-high 'notify-send cc-safe "$CC_SAFE_PERMISSION"'
+                             Report new findings as settings change, with a desktop
+                             notification for each new HIGH risk
+  cc-safe history --since 2026-01-01
+                             List dangerous commands Claude actually ran this year
+  cc-safe install-hook       Block dangerous commands before they run, in every project
+  cc-safe install-hook .claude/settings.json --hook-command 'npx -y cc-safe hook'
+                             Install the hook for one project, without a global install
+  cc-safe . --fix            Remove HIGH risk allow entries (keeps a .bak backup)
+  cc-safe . --dry-run --fix-action ask --fix-severity MEDIUM
+                             Preview moving MEDIUM and HIGH entries to "ask"
+  cc-safe . --interactive    Triage findings one at a time
+  cc-safe . --write-baseline Accept all current findings; later scans only show new ones
+
+COMMANDS
+  effective [project-dir]  Merge managed, local, project and user settings for one
+                           project, list each rule with its origin, and audit the
+                           merged set (defaults to the current directory)
+  watch [directory]        Keep running and re-scan whenever a settings file changes,
+                           printing only findings that weren't there before, with a
+                           timestamp (defaults to the current directory)
+  history [project-dir]    Check the Bash commands that ran in Claude Code session
+                           transcripts (~/.claude/projects), optionally only those
+                           run in or below project-dir, and show whether an allow
+                           rule approved them
+  hook                     Claude Code PreToolUse hook: reads a tool call as JSON on
+                           stdin and denies it for HIGH risks or asks for MEDIUM ones
+  install-hook [file]      Add the hook to a settings file (defaults to
+                           ~/.claude/settings.json), keeping a .bak backup
 
 OPTIONS
-  --no-low       Hide LOW severity findings (show only HIGH and MEDIUM)
-  --help, -h     Show this help message
+  --no-low           Hide LOW severity findings (show only HIGH and MEDIUM)
+  --format <type>    Output format: text (default), json, sarif or html
+  --output, -o <file>
+                     Write the report to a file instead of printing it
+  --summary          Print risk scores per project and settings file, worst first,
+                     and the number of projects each rule turns up in (text or json)
+  --fail-on <level>  Lowest severity that causes exit code 1: HIGH, MEDIUM or LOW (default)
+  --strict           Exit with code 2 when a settings file can't be read, parsed or understood
+  --user             Also scan user-global settings (~/.claude/settings.json)
+  --all-scopes       Also scan user-global and system-wide managed policy settings
+  --fix              Rewrite settings files to fix risky allow entries, printing a diff
+                     and saving the original as <file>.bak
+  --fix-severity <level>
+                     Lowest severity to fix: HIGH (default), MEDIUM or LOW
+  --fix-action <action>
+                     remove (default) deletes entries, ask moves them to permissions.ask
+  --dry-run          Show the --fix diff without changing any files
+  --interactive, -i  Review findings one by one: keep, remove, move to ask, or add
+                     to the baseline; edits are applied at the end
+  --baseline <file>  Suppress findings recorded in this baseline file and report stale
+                     entries (default: .cc-safe-baseline.json in the scanned directory,
+                     used automatically when it exists)
+  --write-baseline   Record all current findings in the baseline file and exit
+  --config <file>    Use this config file everywhere instead of the nearest
+                     .cc-safe.json of each project
+  --interval <sec>   watch: how often to look for settings in new projects (default 10)
+  --exit-on-high     watch: stop with exit code 1 when a new HIGH risk finding appears
+  --on-high <cmd>    watch: run a shell command for each new HIGH risk finding, with
+                     CC_SAFE_FILE, CC_SAFE_RULE and CC_SAFE_PERMISSION set
+  --since <date>     history: only commands run on or after this date (e.g. 2026-05-01)
+  --hook-command <cmd>
+                     install-hook: command that runs the hook (default "cc-safe hook")
+  --help, -h         Show this help message
+
+EXIT CODES
+  0  No findings at or above the --fail-on severity (after --fix)
+  1  Findings at or above the --fail-on severity (after --fix)
+  2  Scan error (invalid arguments, missing directory, unexpected failure),
+     or an unreadable/malformed settings file with --strict
+
+SCOPES (highest precedence first)
+  managed  System-wide managed policy (e.g. /etc/claude-code/managed-settings.json)
+  local    .claude/settings.local.json in a project
+  project  .claude/settings.json in a project
+  user     ~/.claude/settings.json
 
 SEVERITY LEVELS
   HIGH    Critical security risks (rm -rf, chmod 777, Bash, etc.)
@@ -41,157 +160,692 @@ function showHelp() {
   console.log(HELP_TEXT);
 }
 
-const IGNORE_DIRS = ['node_modules', '.git', 'dist', 'build', 'vendor'];
+const FORMATS = ['text', 'json', 'sarif', 'html'];
 
-// Analyze a settings file for dangerous patterns
-async function analyzeSettingsFile(filePath) {
-  try {
-    const content = await readFile(filePath, 'utf-8');
-    const settings = JSON.parse(content);
+const FIX_ACTIONS = ['remove', 'ask'];
 
-    const allowList = settings?.permissions?.allow || [];
-    const issues = [];
+const SUBCOMMANDS = ['effective', 'history', 'hook', 'install-hook', 'watch'];
 
-    for (const permission of allowList) {
-      issues.push(...checkPermission(permission));
-    }
+const EXIT_CLEAN = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR = 2;
+
+// Claude Code shows the hook's stderr for exit code 1 but lets the tool call
+// go ahead, while 2 would block it
+const EXIT_HOOK_ERROR = 1;
 
-    return issues;
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        'no-low': { type: 'boolean', default: false },
+        format: { type: 'string', default: 'text' },
+        summary: { type: 'boolean', default: false },
+        output: { type: 'string', short: 'o' },
+        'fail-on': { type: 'string', default: 'LOW' },
+        strict: { type: 'boolean', default: false },
+        user: { type: 'boolean', default: false },
+        'all-scopes': { type: 'boolean', default: false },
+        fix: { type: 'boolean', default: false },
+        'fix-severity': { type: 'string', default: 'HIGH' },
+        'fix-action': { type: 'string', default: 'remove' },
+        'dry-run': { type: 'boolean', default: false },
+        interactive: { type: 'boolean', short: 'i', default: false },
+        baseline: { type: 'string' },
+        'write-baseline': { type: 'boolean', default: false },
+        config: { type: 'string' },
+        interval: { type: 'string', default: '10' },
+        'exit-on-high': { type: 'boolean', default: false },
+        'on-high': { type: 'string' },
+        since: { type: 'string' },
+        'hook-command': { type: 'string', default: DEFAULT_HOOK_COMMAND },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
   } catch (err) {
-    // Skip files that can't be read or parsed
-    return [];
+    console.error(`Error: ${err.message}`);
+    return EXIT_ERROR;
   }
-}
 
-// Use native find on Mac/Linux for speed
-function findSettingsFilesUnix(targetDir) {
-  const args = [
-    targetDir,
-    '-type', 'f',
-    '(', '-name', 'settings.json', '-o', '-name', 'settings.local.json', ')',
-    '-path', '*/.claude/*'
-  ];
-
-  const result = spawnSync('find', args, {
-    encoding: 'utf-8',
-    maxBuffer: 10 * 1024 * 1024
-  });
+  const { values, positionals } = parsed;
 
-  if (result.error) {
-    return [];
+  // Show help if --help, -h, or no arguments
+  if (values.help) {
+    showHelp();
+    return EXIT_CLEAN;
   }
 
-  // find returns non-zero on permission errors, but still outputs valid results
-  const files = result.stdout.trim().split('\n').filter(Boolean);
+  const options = {
+    noLow: values['no-low'],
+    format: values.format,
+    summary: values.summary,
+    output: values.output,
+    failOn: values['fail-on'].toUpperCase(),
+    strict: values.strict,
+    allScopes: values['all-scopes'],
+    user: values.user,
+    fix: values.fix || values['dry-run'],
+    fixSeverity: values['fix-severity'].toUpperCase(),
+    fixAction: values['fix-action'],
+    dryRun: values['dry-run'],
+    interactive: values.interactive,
+    baseline: values.baseline,
+    writeBaseline: values['write-baseline'],
+    config: values.config,
+    interval: Number(values.interval),
+    exitOnHigh: values['exit-on-high'],
+    onHigh: values['on-high'],
+    since: values.since,
+    hookCommand: values['hook-command'],
+  };
+
+  if (!FORMATS.includes(options.format)) {
+    console.error(`Error: Unknown format "${options.format}". Expected one of: ${FORMATS.join(', ')}`);
+    return EXIT_ERROR;
+  }
 
-  // On macOS, /System/Volumes/Data/Users is a firmlink to /Users - skip duplicates
-  return files.filter(f => !f.startsWith('/System/Volumes/Data/'));
-}
+  if (!SEVERITIES.includes(options.failOn)) {
+    console.error(`Error: Unknown severity "${values['fail-on']}" for --fail-on. Expected one of: ${SEVERITIES.join(', ')}`);
+    return EXIT_ERROR;
+  }
 
-// Fallback to Node glob for Windows
-async function findSettingsFilesWindows(targetDir) {
-  const patterns = [
-    '.claude/settings.json',
-    '.claude/settings.local.json',
-    '**/*/.claude/settings.json',
-    '**/*/.claude/settings.local.json',
-  ];
-
-  const files = [];
-
-  for (const pattern of patterns) {
-    const matches = glob(pattern, {
-      cwd: targetDir,
-      exclude: (name) => IGNORE_DIRS.some(dir => name.includes(dir)),
-    });
+  if (!SEVERITIES.includes(options.fixSeverity)) {
+    console.error(`Error: Unknown severity "${values['fix-severity']}" for --fix-severity. Expected one of: ${SEVERITIES.join(', ')}`);
+    return EXIT_ERROR;
+  }
+
+  if (!FIX_ACTIONS.includes(options.fixAction)) {
+    console.error(`Error: Unknown action "${options.fixAction}" for --fix-action. Expected one of: ${FIX_ACTIONS.join(', ')}`);
+    return EXIT_ERROR;
+  }
+
+  if (options.fix && options.format !== 'text') {
+    console.error('Error: --fix and --dry-run print a diff and only work with --format text');
+    return EXIT_ERROR;
+  }
+
+  if (options.summary && (!['text', 'json'].includes(options.format) || options.fix || options.interactive)) {
+    console.error('Error: --summary only works with --format text or json, and not with --fix, --dry-run or --interactive');
+    return EXIT_ERROR;
+  }
+
+  // Options that only apply to directory scans
+  const scanOnly = [
+    options.summary && '--summary',
+    options.format === 'html' && '--format html',
+    options.output !== undefined && '--output',
+  ].find(Boolean);
+  if (scanOnly && SUBCOMMANDS.includes(positionals[0])) {
+    console.error(`Error: ${scanOnly} is not supported by the ${positionals[0]} command`);
+    return EXIT_ERROR;
+  }
 
-    for await (const file of matches) {
-      files.push(join(targetDir, file));
+  if (options.interactive) {
+    if (options.format !== 'text' || options.fix) {
+      console.error('Error: --interactive can\'t be combined with --format, --fix or --dry-run');
+      return EXIT_ERROR;
+    }
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      console.error('Error: --interactive needs a terminal. Use --fix or --format json in scripts and CI.');
+      return EXIT_ERROR;
     }
   }
 
-  return files;
-}
+  if (positionals[0] === 'effective') {
+    if (options.fix || options.interactive) {
+      console.error('Error: --fix, --dry-run and --interactive are not supported by the effective command');
+      return EXIT_ERROR;
+    }
+    return runEffective(positionals[1] || '.', options);
+  }
 
-async function findSettingsFiles(targetDir) {
-  const os = platform();
+  if (positionals[0] === 'history') {
+    if (options.format === 'sarif' || options.fix || options.interactive || options.baseline || options.writeBaseline) {
+      console.error('Error: --format sarif, --fix, --dry-run, --interactive and baselines are not supported by the history command');
+      return EXIT_ERROR;
+    }
+    if (options.since !== undefined && Number.isNaN(Date.parse(options.since))) {
+      console.error(`Error: Invalid date "${options.since}" for --since`);
+      return EXIT_ERROR;
+    }
+    return runHistory(positionals[1], options);
+  }
 
-  if (os === 'darwin' || os === 'linux') {
-    return findSettingsFilesUnix(targetDir);
-  } else {
-    return findSettingsFilesWindows(targetDir);
+  if (positionals[0] === 'hook') {
+    return runHook(options);
   }
-}
 
-async function main() {
-  const args = process.argv.slice(2);
+  if (positionals[0] === 'install-hook') {
+    return installHook(positionals[1] ? resolve(positionals[1]) : userSettingsPath(), options);
+  }
 
-  // Show help if --help, -h, or no arguments
-  if (args.includes('--help') || args.includes('-h')) {
-    showHelp();
-    return;
+  if (positionals[0] === 'watch') {
+    if (options.format !== 'text' || options.fix || options.interactive || options.baseline || options.writeBaseline) {
+      console.error('Error: --format, --fix, --dry-run, --interactive and baselines are not supported by the watch command');
+      return EXIT_ERROR;
+    }
+    if (!(options.interval > 0)) {
+      console.error(`Error: Invalid --interval "${values.interval}". Expected a number of seconds above 0`);
+      return EXIT_ERROR;
+    }
+    return runWatch(positionals[1] || '.', options);
   }
 
-  const noLow = args.includes('--no-low');
-  const dirArg = args.find(a => !a.startsWith('--'));
+  const dirArg = positionals[0];
 
   // No directory provided - show help
   if (!dirArg) {
     showHelp();
-    return;
+    return EXIT_CLEAN;
   }
 
+  return runScan(dirArg, options);
+}
+
+// Exit code for a set of issues and errors according to --fail-on and --strict
+function exitCodeFor(issues, errors, { failOn, strict }) {
+  if (strict && errors.length > 0) {
+    return EXIT_ERROR;
+  }
+  return issues.some(i => isAtLeast(i.severity, failOn)) ? EXIT_FINDINGS : EXIT_CLEAN;
+}
+
+// Remove or move to ask the allow entries at or above fixSeverity, printing a
+// diff per file. Unless dryRun, the original is kept as a .bak next to the file.
+// Returns the issues that were fixed.
+async function fixFindings(findings, { fixSeverity, fixAction, dryRun }) {
+  const fixed = [];
+  let fileCount = 0;
+
+  for (const { file, issues } of findings) {
+    const indexes = fixableIndexes(issues, fixSeverity);
+    if (indexes.length === 0) {
+      continue;
+    }
+
+    const original = await readFile(file, 'utf-8');
+    let updated;
+    try {
+      updated = fixSettingsText(original, indexes, { action: fixAction });
+    } catch (err) {
+      console.error(`Error: Could not fix ${file}: ${err.message}`);
+      continue;
+    }
+
+    console.log(unifiedDiff(original, updated, { fromFile: file, toFile: file }));
+    console.log();
+
+    if (!dryRun) {
+      await writeFile(`${file}.bak`, original);
+      await writeFile(file, updated);
+    }
+
+    const paths = new Set(indexes.map(index => `permissions.allow[${index}]`));
+    fixed.push(...issues.filter(({ path }) => paths.has(path)));
+    fileCount++;
+  }
+
+  const verb = fixAction === 'ask' ? 'moved to ask' : 'removed';
+  if (fileCount === 0) {
+    console.log(`Nothing to fix at ${fixSeverity} severity or above.`);
+  } else if (dryRun) {
+    console.log(`Dry run: entries would be ${verb} in ${fileCount} file(s). No files were changed.`);
+  } else {
+    console.log(`Entries ${verb} in ${fileCount} file(s). Originals saved with a .bak extension.`);
+  }
+
+  return fixed;
+}
+
+// Terminal prompt that fails instead of hanging when input is closed (e.g. Ctrl-D)
+function createPrompt() {
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const closed = new Promise((_, reject) => {
+    rl.once('close', () => reject(new Error('Input closed')));
+  });
+  closed.catch(() => {});
+
+  return {
+    prompt: (question) => Promise.race([rl.question(question), closed]),
+    close: () => rl.close(),
+  };
+}
+
+// Walk findings one by one, then apply the chosen edits and baseline additions.
+// Returns the issues that were resolved (edited away or baselined).
+async function reviewInteractively(findings, root, baselineFile) {
+  const { prompt, close } = createPrompt();
+
+  try {
+    const { edits, baseline } = await reviewFindings(findings, prompt);
+    const updates = [];
+
+    for (const [file, fileEdits] of edits) {
+      const original = await readFile(file, 'utf-8');
+      try {
+        const updated = editSettingsText(original, fileEdits);
+        updates.push({ file, original, updated, paths: [...fileEdits.remove, ...fileEdits.moveToAsk] });
+        console.log(`\n${unifiedDiff(original, updated, { fromFile: file, toFile: file })}`);
+      } catch (err) {
+        console.error(`Error: Could not edit ${file}: ${err.message}`);
+      }
+    }
+
+    if (baseline.length > 0) {
+      console.log(`\n${baseline.length} finding(s) will be added to ${baselineFile}`);
+    }
+
+    if (updates.length === 0 && baseline.length === 0) {
+      console.log('\nNo changes to apply.');
+      return [];
+    }
+
+    const answer = await prompt('\nApply these changes? (y/N) ');
+    if (!/^y/i.test(answer.trim())) {
+      console.log('No changes were made.');
+      return [];
+    }
+
+    const resolved = [];
+    for (const { file, original, updated, paths } of updates) {
+      await writeFile(`${file}.bak`, original);
+      await writeFile(file, updated);
+      const finding = findings.find(f => f.file === file);
+      resolved.push(...finding.issues.filter(({ path }) => paths.includes(path)));
+    }
+    if (baseline.length > 0) {
+      await addToBaseline(baselineFile, baseline.map(({ file, issue }) => fingerprint(root, file, issue)));
+      resolved.push(...baseline.map(({ issue }) => issue));
+    }
+
+    console.log(`Updated ${updates.length} settings file(s)${updates.length > 0 ? ' (originals saved with a .bak extension)' : ''}.`);
+    return resolved;
+  } finally {
+    close();
+  }
+}
+
+async function runScan(dirArg, options) {
+  const { noLow, format, failOn, strict, allScopes, user, fix, fixSeverity, fixAction, dryRun, interactive } = options;
+  const scopes = allScopes ? ['user', 'managed'] : [];
+  if (user && !allScopes) {
+    scopes.push('user');
+  }
+
+  // Progress messages only make sense for humans; structured output stays clean
+  const log = format === 'text' ? console.log : () => {};
   const targetDir = resolve(dirArg);
 
-  console.log(`Scanning for Claude Code settings files in: ${targetDir}\n`);
+  if (!(await isDirectory(targetDir))) {
+    console.error(`Error: Directory not found: ${targetDir}`);
+    return EXIT_ERROR;
+  }
+
+  let config;
+  try {
+    config = await loadScanConfig(targetDir, { config: options.config });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return EXIT_ERROR;
+  }
+
+  // An explicit --baseline wins; otherwise a baseline in the scan root is picked up
+  const baselineFile = options.baseline ? resolve(options.baseline) : join(targetDir, DEFAULT_BASELINE_FILE);
+  let baselineEntries = null;
+  if (!options.writeBaseline && (options.baseline || await fileExists(baselineFile))) {
+    try {
+      baselineEntries = await readBaseline(baselineFile);
+    } catch (err) {
+      console.error(`Error: Could not read baseline ${baselineFile}: ${err.message}`);
+      return EXIT_ERROR;
+    }
+  }
+
+  if (config.file) {
+    log(`Using config: ${config.file}`);
+  }
+  log(`Scanning for Claude Code settings files in: ${targetDir}\n`);
 
-  const files = await findSettingsFiles(targetDir);
+  let files, findings, configFiles;
+  try {
+    ({ files, findings, configFiles } = await scan({ root: targetDir, scopes, config, projectConfigs: !options.config }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return EXIT_ERROR;
+  }
+  for (const file of configFiles) {
+    log(`Using project config (can only add checks): ${file}`);
+  }
 
-  if (files.length === 0) {
+  if (files.length === 0 && format === 'text' && !options.writeBaseline) {
     console.log('No Claude Code settings files found.');
-    return;
+    return EXIT_CLEAN;
+  }
+
+  log(`Found ${files.length} settings file(s), analyzing...\n`);
+
+  let allFindings = findings;
+
+  // Stale baseline entries are judged against every finding, before --no-low
+  let baseline;
+  if (baselineEntries) {
+    const applied = applyBaseline(allFindings, baselineEntries, targetDir);
+    allFindings = applied.findings;
+    baseline = { file: baselineFile, suppressed: applied.suppressed, stale: applied.stale };
   }
 
-  console.log(`Found ${files.length} settings file(s), analyzing...\n`);
+  if (noLow) {
+    allFindings = allFindings
+      .map(finding => ({ ...finding, issues: finding.issues.filter(i => i.severity !== 'LOW') }))
+      .filter(({ issues, errors }) => issues.length > 0 || errors.length > 0);
+  }
 
-  const allFindings = [];
+  if (options.writeBaseline) {
+    const entries = allFindings.flatMap(({ file, issues }) => issues.map(issue => fingerprint(targetDir, file, issue)));
+    await writeBaseline(baselineFile, entries);
+    console.log(`Wrote ${entries.length} finding(s) to baseline ${baselineFile}`);
+    return EXIT_CLEAN;
+  }
 
-  for (const file of files) {
-    let issues = await analyzeSettingsFile(file);
-    if (noLow) {
-      issues = issues.filter(i => i.severity !== 'LOW');
+  let report;
+  if (options.summary) {
+    const summary = { root: targetDir, files, findings: allFindings };
+    report = format === 'json' ? formatRiskJson(summary) : formatRiskText(summary);
+  } else if (format === 'json') {
+    report = formatJson({ root: targetDir, files, findings: allFindings, baseline });
+  } else if (format === 'sarif') {
+    report = formatSarif({ root: targetDir, findings: allFindings, rules: activeRules(config) });
+  } else if (format === 'html') {
+    report = formatHtml({ root: targetDir, files, findings: allFindings, rules: activeRules(config) });
+  } else {
+    report = formatText(allFindings, { showScopes: scopes.includes('user'), baseline });
+  }
+
+  if (options.output) {
+    const outputFile = resolve(options.output);
+    try {
+      await writeFile(outputFile, `${report}\n`);
+    } catch (err) {
+      console.error(`Error: Could not write ${outputFile}: ${err.message}`);
+      return EXIT_ERROR;
     }
-    if (issues.length > 0) {
-      allFindings.push({ file, issues });
+    console.log(`Wrote report to ${outputFile}`);
+  } else {
+    console.log(report);
+  }
+
+  let remaining = allFindings.flatMap(({ issues }) => issues);
+
+  if (fix) {
+    console.log();
+    const fixed = await fixFindings(allFindings, { fixSeverity, fixAction, dryRun });
+    if (!dryRun) {
+      remaining = remaining.filter(issue => !fixed.includes(issue));
     }
   }
 
-  if (allFindings.length === 0) {
-    console.log('No dangerous patterns found.');
-    return;
+  if (interactive && allFindings.some(({ issues }) => issues.length > 0)) {
+    const resolved = await reviewInteractively(allFindings, targetDir, baselineFile);
+    remaining = remaining.filter(issue => !resolved.includes(issue));
   }
 
-  // Report findings
-  let totalHigh = 0;
-  let totalMedium = 0;
-  let totalLow = 0;
+  return exitCodeFor(
+    remaining,
+    allFindings.flatMap(({ errors }) => errors),
+    { failOn, strict }
+  );
+}
+
+// Merge every settings layer that applies to one project and audit the result
+async function runEffective(dirArg, { noLow, format, failOn, strict, config: configFile }) {
+  const project = resolve(dirArg);
+
+  if (!(await isDirectory(project))) {
+    console.error(`Error: Directory not found: ${project}`);
+    return EXIT_ERROR;
+  }
 
-  for (const { file, issues } of allFindings) {
-    console.log(file);
-    for (const { name, severity, permission } of issues) {
-      console.log(`  [${severity}] ${name}: "${permission}"`);
-      if (severity === 'HIGH') totalHigh++;
-      else if (severity === 'MEDIUM') totalMedium++;
-      else if (severity === 'LOW') totalLow++;
+  let config;
+  try {
+    config = await loadScanConfig(project, { config: configFile });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return EXIT_ERROR;
+  }
+
+  const { candidates, layers, errors } = await loadProjectLayers(project);
+  const permissions = mergePermissionLayers(layers);
+  let issues = auditEffectivePermissions(permissions, config);
+  if (noLow) {
+    issues = issues.filter(i => i.severity !== 'LOW');
+  }
+
+  const report = { project, layers: candidates, permissions, issues, errors };
+
+  if (format === 'json') {
+    console.log(formatEffectiveJson(report));
+  } else if (format === 'sarif') {
+    console.log(formatSarif({ root: project, findings: groupByFile(issues, errors), rules: activeRules(config) }));
+  } else {
+    console.log(formatEffectiveText(report));
+  }
+
+  return exitCodeFor(issues, errors, { failOn, strict });
+}
+
+// Check the commands that ran in session transcripts
+async function runHistory(projectArg, { noLow, format, failOn, config: configFile, since }) {
+  const dir = transcriptsDir();
+  if (!(await isDirectory(dir))) {
+    console.error(`Error: No session transcripts found in ${dir}`);
+    return EXIT_ERROR;
+  }
+
+  // Each project's commands are checked with its own config, unless --config is given
+  const configs = new Map();
+  const configFor = async (cwd) => {
+    if (!configs.has(cwd)) {
+      const root = (configFile || await isDirectory(cwd)) ? cwd : undefined;
+      configs.set(cwd, root ? await loadScanConfig(root, { config: configFile }) : {});
     }
-    console.log();
+    return configs.get(cwd);
+  };
+
+  let report;
+  try {
+    report = await auditHistory({
+      dir,
+      project: projectArg ? resolve(projectArg) : undefined,
+      since: since ? new Date(since) : undefined,
+      configFor,
+    });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return EXIT_ERROR;
   }
 
-  const parts = [];
-  if (totalHigh > 0) parts.push(`${totalHigh} high`);
-  if (totalMedium > 0) parts.push(`${totalMedium} medium`);
-  if (totalLow > 0) parts.push(`${totalLow} low`);
-  console.log(`Summary: ${parts.join(', ')} risk pattern(s) found`);
+  if (noLow) {
+    report.findings = report.findings
+      .map(finding => ({ ...finding, issues: finding.issues.filter(i => i.severity !== 'LOW') }))
+      .filter(({ issues }) => issues.length > 0);
+  }
+
+  console.log(format === 'json' ? formatHistoryJson(report) : formatHistoryText(report));
+
+  return exitCodeFor(report.findings.flatMap(({ issues }) => issues), [], { failOn, strict: false });
 }
 
-main().catch(console.error);
+// Answer one PreToolUse hook call. A broken payload is reported without
+// blocking, so cc-safe can't lock up a session; a broken config falls back to
+// the built-in rules rather than letting every call through.
+async function runHook({ config: configFile }) {
+  let payload;
+  try {
+    let input = '';
+    for await (const chunk of process.stdin) {
+      input += chunk;
+    }
+    payload = JSON.parse(input);
+    if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+      throw new Error('expected a JSON object');
+    }
+  } catch (err) {
+    console.error(`cc-safe hook: could not read the tool call: ${err.message}`);
+    return EXIT_HOOK_ERROR;
+  }
+
+  try {
+    // The project config is looked up from the session's working directory
+    const cwd = typeof payload.cwd === 'string' && await isDirectory(payload.cwd) ? payload.cwd : process.cwd();
+    let config = {};
+    try {
+      config = await loadHookConfig(cwd, {
+        config: configFile,
+        onError: err => console.error(`cc-safe hook: ignoring the project config: ${err.message}`),
+      });
+    } catch (err) {
+      console.error(`cc-safe hook: using the built-in rules: ${err.message}`);
+    }
+    const output = formatHookOutput(hookDecision(payload, config));
+    if (output) {
+      console.log(output);
+    }
+    return EXIT_CLEAN;
+  } catch (err) {
+    console.error(`cc-safe hook: ${err.message}`);
+    return EXIT_HOOK_ERROR;
+  }
+}
+
+// Add the PreToolUse hook to a settings file, creating it if needed
+async function installHook(file, { hookCommand, dryRun }) {
+  const exists = await fileExists(file);
+  const original = exists ? await readFile(file, 'utf-8') : '';
+
+  let updated;
+  try {
+    updated = installHookText(original, hookCommand);
+  } catch (err) {
+    console.error(`Error: Could not add the hook to ${file}: ${err.message}`);
+    return EXIT_ERROR;
+  }
+
+  if (updated === original) {
+    console.log(`The cc-safe hook is already installed in ${file}`);
+    return EXIT_CLEAN;
+  }
+
+  console.log(unifiedDiff(original, updated, { fromFile: exists ? file : '/dev/null', toFile: file }));
+  console.log();
+
+  if (dryRun) {
+    console.log('Dry run: no files were changed.');
+    return EXIT_CLEAN;
+  }
+
+  if (exists) {
+    await writeFile(`${file}.bak`, original);
+  } else {
+    await mkdir(dirname(file), { recursive: true });
+  }
+  await writeFile(file, updated);
+  console.log(`Installed the cc-safe hook in ${file}${exists ? ' (original saved with a .bak extension)' : ''}.`);
+  return EXIT_CLEAN;
+}
+
+// Run the --on-high command for one issue and wait for it to finish
+function runHighCommand(command, file, { name, permission }) {
+  return new Promise((resolvePromise) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: 'inherit',
+      env: { ...process.env, CC_SAFE_FILE: file, CC_SAFE_RULE: name, CC_SAFE_PERMISSION: permission },
+    });
+    child.on('error', (err) => {
+      console.error(`Error: Could not run --on-high command: ${err.message}`);
+      resolvePromise();
+    });
+    child.on('close', resolvePromise);
+  });
+}
+
+// Keep scanning as settings change, printing only new findings. Runs until
+// interrupted, or until a new HIGH finding appears with --exit-on-high.
+async function runWatch(dirArg, { noLow, allScopes, user, config: configFile, interval, exitOnHigh, onHigh }) {
+  const targetDir = resolve(dirArg);
+  if (!(await isDirectory(targetDir))) {
+    console.error(`Error: Directory not found: ${targetDir}`);
+    return EXIT_ERROR;
+  }
+
+  const scopes = allScopes ? ['user', 'managed'] : user ? ['user'] : [];
+
+  let config;
+  try {
+    config = await loadScanConfig(targetDir, { config: configFile });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return EXIT_ERROR;
+  }
+
+  return new Promise((resolveExit) => {
+    let watcher;
+    const stop = (code) => {
+      watcher.close();
+      process.off('SIGINT', interrupt);
+      resolveExit(code);
+    };
+    const interrupt = () => stop(EXIT_CLEAN);
+
+    const onChange = async ({ time, findings }) => {
+      console.log(`${formatWatchText(findings, time)}\n`);
+      const high = findings.flatMap(({ file, issues }) =>
+        issues.filter(({ severity }) => severity === 'HIGH').map(issue => ({ file, issue }))
+      );
+      if (onHigh) {
+        for (const { file, issue } of high) {
+          await runHighCommand(onHigh, file, issue);
+        }
+      }
+      if (exitOnHigh && high.length > 0) {
+        stop(EXIT_FINDINGS);
+      }
+    };
+    const onError = (err) => console.error(`Error: ${err.message}`);
+
+    watchSettings(
+      { root: targetDir, scopes, minSeverity: noLow ? 'MEDIUM' : 'LOW', config, projectConfigs: !configFile, interval: interval * 1000 },
+      { onChange, onError }
+    ).then(
+      (started) => {
+        watcher = started;
+        if (config.file) {
+          console.log(`Using config: ${config.file}`);
+        }
+        for (const file of started.configFiles) {
+          console.log(`Using project config (can only add checks): ${file}`);
+        }
+        console.log(`Watching ${started.files.length} settings file(s) in ${targetDir} (Ctrl-C to stop)`);
+        console.log(`${formatSummary(started.findings)} - only new findings are shown from here on\n`);
+        process.on('SIGINT', interrupt);
+      },
+      (err) => {
+        console.error(`Error: ${err.message}`);
+        resolveExit(EXIT_ERROR);
+      }
+    );
+  });
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err);
+    process.exitCode = EXIT_ERROR;
+  }
+);
@@ -0,0 +1,221 @@
+// Type declarations for the cc-safe library API (index.js)
+
+export type Severity = 'HIGH' | 'MEDIUM' | 'LOW';
+
+export type Scope = 'managed' | 'local' | 'project' | 'user';
+
+// Offsets into the settings text, plus 1-based line and column of both ends
+export interface Location {
+  start: number;
+  end: number;
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+}
+
+// Where a command that runs without a prompt comes from
+export type CommandSource =
+  | { type: 'hook'; event: string; matcher?: string }
+  | { type: 'statusLine' }
+  | { type: 'mcpServer'; server: string };
+
+export interface Issue {
+  id: string;
+  name: string;
+  severity: Severity;
+  description: string;
+  // The permission rule, setting or command the issue is about
+  permission: string;
+  // Severity before a deny or ask rule downgraded the issue
+  originalSeverity?: Severity;
+  // The argument a destructive command points at, and why it escalated
+  // (e.g. "the home directory") or was downgraded ("inside the project")
+  target?: { argument: string; reason: string };
+  suggestion?: { action: 'ask' | 'remove' | 'replace'; replacement?: string };
+  // The dangerous command a prefix rule allows, e.g. "git push --force" for "Bash(git:*)"
+  implied?: string;
+  source?: CommandSource;
+  note?: string;
+  // Path of the entry in the settings file, e.g. "permissions.allow[2]"
+  path?: string;
+  location?: Location;
+}
+
+export interface SettingsError {
+  type: 'read' | 'parse' | 'shape';
+  message: string;
+  path?: string;
+  location?: Location;
+}
+
+export interface Finding {
+  file: string;
+  scope: Scope;
+  issues: Issue[];
+  errors: SettingsError[];
+}
+
+export interface Rule {
+  id: string;
+  name: string;
+  severity: Severity;
+  description: string;
+  // What to approve instead; custom rules have none
+  remediation?: string;
+}
+
+// A custom rule as written in a config file
+export interface CustomRule {
+  id?: string;
+  name: string;
+  pattern: string | RegExp;
+  severity: Severity | Lowercase<Severity>;
+  description?: string;
+  skipContainerCheck?: boolean;
+}
+
+// A config as written in .cc-safe.json or cc-safe.config.js
+export interface RawConfig {
+  rules?: CustomRule[];
+  severities?: Record<string, Severity | Lowercase<Severity>>;
+  disable?: string[];
+  safeSudoCommands?: string[];
+  containerPrefixes?: string[];
+  ignore?: string[];
+  // Report rm -rf and chmod on project-local paths as MEDIUM instead of HIGH
+  downgradeLocalTargets?: boolean;
+}
+
+// A config as returned by loadConfig and resolveConfig
+export interface ResolvedConfig {
+  file?: string;
+  dir: string;
+  rules: Array<Rule & { pattern: RegExp; skipContainerCheck: boolean }>;
+  severities: Map<string, Severity>;
+  disable: string[];
+  safeSudoCommands: string[];
+  containerPrefixes: string[];
+  ignore: string[];
+  downgradeLocalTargets: boolean;
+}
+
+export interface ConfigOptions {
+  // A config object; a resolved one is used as is
+  config?: RawConfig | ResolvedConfig;
+  // Extra custom rules on top of the config
+  rules?: CustomRule[];
+}
+
+export interface ScanOptions {
+  // Directory to scan, defaults to the current directory
+  root?: string;
+  // Settings outside root to scan as well
+  scopes?: Array<'user' | 'managed'>;
+  // Leave out issues below this severity, defaults to 'LOW'
+  minSeverity?: Severity;
+  // A config file path or object, or false to use none. Defaults to the
+  // nearest .cc-safe.json at or above root, or the one in the user config directory.
+  config?: string | RawConfig | ResolvedConfig | false;
+  rules?: CustomRule[];
+  // Tighten the checks for settings in projects below root that have their
+  // own .cc-safe.json: its custom rules and raised severities apply, nothing
+  // else. Defaults to true unless config is given.
+  projectConfigs?: boolean;
+}
+
+export interface ScanResult {
+  root: string;
+  // Every settings file that was scanned, including clean ones
+  files: string[];
+  // Files with issues or errors
+  findings: Finding[];
+  config: ResolvedConfig | Record<string, never>;
+  // Configs of projects below root that were applied, with projectConfigs
+  configFiles: string[];
+}
+
+export interface Analysis {
+  issues: Issue[];
+  errors: SettingsError[];
+}
+
+export function scan(options?: ScanOptions): Promise<ScanResult>;
+
+// settings is a parsed settings object or its JSON text
+export function analyzeSettings(settings: unknown, options?: ConfigOptions): Analysis;
+
+export function analyzeSettingsFile(file: string, config?: ResolvedConfig | Record<string, never>): Promise<Analysis>;
+
+export interface WatchOptions extends ScanOptions {
+  // Milliseconds between searches for settings in new projects, defaults to 10000
+  interval?: number;
+}
+
+export interface WatchChange {
+  time: Date;
+  files: string[];
+  // Only issues and errors that weren't in the previous scan
+  findings: Finding[];
+}
+
+export interface SettingsWatcher extends ScanResult {
+  close(): void;
+}
+
+// Scan, then scan again whenever settings change, until close() is called
+export function watchSettings(
+  options?: WatchOptions,
+  handlers?: { onChange?: (change: WatchChange) => void | Promise<void>; onError?: (err: Error) => void | Promise<void> },
+): Promise<SettingsWatcher>;
+
+export interface RiskCounts {
+  score: number;
+  high: number;
+  medium: number;
+  low: number;
+  errors: number;
+}
+
+export interface RiskSummary {
+  // Worst first
+  files: Array<RiskCounts & { file: string; scope: Scope; project: string | null }>;
+  projects: Array<RiskCounts & { project: string; files: number }>;
+  // Most widespread first; projects counts the distinct projects hitting the rule
+  rules: Array<Omit<Rule, 'description' | 'remediation'> & { findings: number; projects: number }>;
+}
+
+// What one finding adds to a risk score, by severity
+export const RISK_WEIGHTS: Record<Severity, number>;
+
+export function riskSummary(findings: Finding[]): RiskSummary;
+
+export function checkPermission(permission: string, options?: ConfigOptions): Issue[];
+
+export function loadScanConfig(
+  root: string,
+  options?: { config?: string | RawConfig | ResolvedConfig | false; rules?: CustomRule[] },
+): Promise<ResolvedConfig | Record<string, never>>;
+
+export function loadConfig(file: string): Promise<ResolvedConfig>;
+
+export function resolveConfig(raw: unknown, options?: { file?: string; dir?: string }): ResolvedConfig;
+
+export const RULES: Rule[];
+
+export const SEVERITIES: Severity[];
+
+export function activeRules(config?: ResolvedConfig | Record<string, never>): Rule[];
+
+export function isAtLeast(severity: Severity, threshold: Severity): boolean;
+
+export function isInsideContainer(command: string, extraPrefixes?: string[]): boolean;
+
+export function formatText(findings: Finding[], options?: { showScopes?: boolean }): string;
+
+export function formatJson(report: { root: string; files: string[]; findings: Finding[] }): string;
+
+export function formatSarif(report: { root: string; findings: Finding[]; rules?: Rule[] }): string;
+
+// A self-contained HTML page; rules supplies the descriptions and remediation shown per rule
+export function formatHtml(report: { root: string; files: string[]; findings: Finding[]; rules?: Rule[]; time?: Date }): string;
@@ -0,0 +1,29 @@
+// Library entry point: `import { scan, analyzeSettings, checkPermission } from 'cc-safe'`.
+// The CLI in bin/cc-safe.js is a thin wrapper over these functions. Types are
+// in index.d.ts.
+
+import { checkPermission as checkWithConfig } from './lib/checker.js';
+import { configFromOptions } from './lib/config.js';
+import { analyzeParsedSettings, parseSettings } from './lib/scan.js';
+
+export { scan, analyzeSettingsFile, loadScanConfig } from './lib/scan.js';
+export { RULES, SEVERITIES, activeRules, isAtLeast, isInsideContainer } from './lib/checker.js';
+export { loadConfig, resolveConfig } from './lib/config.js';
+export { watchSettings } from './lib/watch.js';
+export { riskSummary, RISK_WEIGHTS } from './lib/summary.js';
+export { formatText, formatJson } from './lib/report.js';
+export { formatSarif } from './lib/sarif.js';
+export { formatHtml } from './lib/html.js';
+
+// Analyze one settings object, or its JSON text. Text is parsed with source
+// locations, so issues point at a line and column; text that can't be parsed
+// comes back with errors instead of throwing.
+export function analyzeSettings(settings, { config, rules } = {}) {
+  const parsed = typeof settings === 'string' ? parseSettings(settings) : { settings };
+  return analyzeParsedSettings(parsed, configFromOptions({ config, rules }));
+}
+
+// Check a single permission rule like "Bash(rm -rf:*)" for dangerous patterns
+export function checkPermission(permission, { config, rules } = {}) {
+  return checkWithConfig(permission, configFromOptions({ config, rules }));
+}
@@ -0,0 +1,82 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { relative, sep } from 'node:path';
+
+// Baseline used when none is given, relative to the scan root
+export const DEFAULT_BASELINE_FILE = '.cc-safe-baseline.json';
+
+const BASELINE_VERSION = 1;
+
+// Identify a finding independently of line numbers and where the scan root lives
+export function fingerprint(root, file, { name, permission }) {
+  return {
+    file: relative(root, file).split(sep).join('/'),
+    rule: name,
+    permission,
+  };
+}
+
+export function fingerprintKey({ file, rule, permission }) {
+  return JSON.stringify([file, rule, permission]);
+}
+
+// Read baseline entries, treating a missing file as an empty baseline
+export async function readBaseline(path) {
+  let content;
+  try {
+    content = await readFile(path, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  const baseline = JSON.parse(content);
+  if (!Array.isArray(baseline?.findings)) {
+    throw new Error(`Invalid baseline file ${path}: expected a "findings" array`);
+  }
+  return baseline.findings;
+}
+
+// Write entries sorted and without duplicates, so the file diffs cleanly
+export async function writeBaseline(path, entries) {
+  const unique = new Map(entries.map(entry => [fingerprintKey(entry), entry]));
+  const findings = [...unique.values()]
+    .map(({ file, rule, permission }) => ({ file, rule, permission }))
+    .sort((a, b) => fingerprintKey(a).localeCompare(fingerprintKey(b)));
+
+  await writeFile(path, JSON.stringify({ version: BASELINE_VERSION, findings }, null, 2) + '\n');
+}
+
+// Merge entries into an existing (or new) baseline file
+export async function addToBaseline(path, entries) {
+  await writeBaseline(path, [...await readBaseline(path), ...entries]);
+}
+
+// Drop issues recorded in the baseline. Returns the remaining findings, how
+// many issues were suppressed, and baseline entries that no longer match
+// anything so the baseline can be pruned.
+export function applyBaseline(findings, entries, root) {
+  const accepted = new Set(entries.map(fingerprintKey));
+  const seen = new Set();
+  let suppressed = 0;
+
+  const remaining = findings.map(finding => ({
+    ...finding,
+    issues: finding.issues.filter(issue => {
+      const key = fingerprintKey(fingerprint(root, finding.file, issue));
+      seen.add(key);
+      if (accepted.has(key)) {
+        suppressed++;
+        return false;
+      }
+      return true;
+    }),
+  }));
+
+  return {
+    findings: remaining.filter(({ issues, errors = [] }) => issues.length > 0 || errors.length > 0),
+    suppressed,
+    stale: entries.filter(entry => !seen.has(fingerprintKey(entry))),
+  };
+}
@@ -0,0 +1,80 @@
+import { checkPermission } from './checker.js';
+import { isPlainObject, joinPath } from './json-source.js';
+
+// Shell commands that settings run on their own, without any permission
+// prompt: hooks, the status line, and MCP servers launched from .mcp.json.
+
+// Quote a word for the shell unless it only has characters that are safe bare
+function shellQuote(word) {
+  return /^[\w@%+=:,./-]+$/.test(word) ? word : `'${word.replace(/'/g, `'\\''`)}'`;
+}
+
+// Every command in parsed settings (or .mcp.json) as { command, path, source },
+// where source says what runs it: { type: 'hook', event, matcher },
+// { type: 'statusLine' } or { type: 'mcpServer', server }. Entries that don't
+// have the expected shape are skipped.
+export function settingsCommands(settings) {
+  const commands = [];
+  if (!isPlainObject(settings)) {
+    return commands;
+  }
+
+  const { hooks, statusLine, mcpServers } = settings;
+
+  for (const [event, groups] of Object.entries(isPlainObject(hooks) ? hooks : {})) {
+    (Array.isArray(groups) ? groups : []).forEach((group, groupIndex) => {
+      const groupPath = joinPath(joinPath('hooks', event), groupIndex);
+      const matcher = typeof group?.matcher === 'string' && group.matcher !== '' ? group.matcher : undefined;
+      (Array.isArray(group?.hooks) ? group.hooks : []).forEach((hook, hookIndex) => {
+        if (typeof hook?.command === 'string') {
+          const path = joinPath(joinPath(joinPath(groupPath, 'hooks'), hookIndex), 'command');
+          commands.push({ command: hook.command, path, source: { type: 'hook', event, matcher } });
+        }
+      });
+    });
+  }
+
+  if (typeof statusLine?.command === 'string') {
+    commands.push({ command: statusLine.command, path: 'statusLine.command', source: { type: 'statusLine' } });
+  }
+
+  for (const [server, definition] of Object.entries(isPlainObject(mcpServers) ? mcpServers : {})) {
+    if (typeof definition?.command !== 'string') {
+      continue;
+    }
+    const args = Array.isArray(definition.args) ? definition.args.filter(arg => typeof arg === 'string') : [];
+    // Servers are started without a shell, so arguments are quoted to keep them whole
+    const command = [definition.command, ...args.map(shellQuote)].join(' ');
+    const path = joinPath(joinPath('mcpServers', server), 'command');
+    commands.push({ command, path, source: { type: 'mcpServer', server } });
+  }
+
+  return commands;
+}
+
+// Where a command comes from, in words
+export function describeSource({ type, event, matcher, server }) {
+  if (type === 'hook') {
+    return matcher ? `${event} hook, matcher "${matcher}"` : `${event} hook`;
+  }
+  if (type === 'mcpServer') {
+    return `MCP server "${server}"`;
+  }
+  return 'status line command';
+}
+
+// Run every command in the settings through the permission rules, as if it
+// were an exact "Bash(...)" rule. Issues carry the command as their
+// permission, its source and the path of the command in the file.
+export function auditSettingsCommands(settings, config = {}) {
+  return settingsCommands(settings).flatMap(({ command, path, source }) =>
+    // Suggestions are about permission entries, which these commands don't go through
+    checkPermission(`Bash(${command})`, config, { implied: false }).map(({ suggestion, ...issue }) => ({
+      ...issue,
+      permission: command,
+      path,
+      source,
+      note: describeSource(source),
+    }))
+  );
+}
@@ -0,0 +1,315 @@
+import { readFile } from 'node:fs/promises';
+import { basename, dirname, join, relative, resolve, sep } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { isPlainObject, joinPath, parseJsonSource } from './json-source.js';
+import { fileExists, userConfigDir } from './scopes.js';
+import { RULES, SEVERITIES, activeRules } from './checker.js';
+import { globToRegExp } from './rules.js';
+
+// Project config file, looked up from the scanned directory towards the
+// filesystem root. The first directory that has one wins. JS configs run
+// code, so they are never picked up from the tree being scanned: only from
+// the user's own config directory, or when passed explicitly.
+export const CONFIG_FILE = '.cc-safe.json';
+
+// Config files in the user config directory (see userConfigDir), used when no
+// project has one. The JSON file takes precedence.
+export const USER_CONFIG_FILES = ['.cc-safe.json', 'cc-safe.config.js'];
+
+const CONFIG_KEYS = ['rules', 'severities', 'disable', 'safeSudoCommands', 'containerPrefixes', 'ignore', 'downgradeLocalTargets'];
+const RULE_KEYS = ['id', 'name', 'pattern', 'severity', 'description', 'skipContainerCheck'];
+
+// Find the nearest .cc-safe.json in startDir or one of its parents, or null
+export async function findProjectConfigFile(startDir) {
+  let dir = resolve(startDir);
+
+  for (;;) {
+    const file = join(dir, CONFIG_FILE);
+    if (await fileExists(file)) {
+      return file;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// Find the config in the user config directory, or null
+export async function findUserConfigFile(userDir = userConfigDir()) {
+  for (const name of USER_CONFIG_FILES) {
+    const file = join(userDir, name);
+    if (await fileExists(file)) {
+      return file;
+    }
+  }
+  return null;
+}
+
+// Find the nearest project config, falling back to the user's own. Returns
+// null if there is none.
+export async function findConfigFile(startDir, { userDir } = {}) {
+  return await findProjectConfigFile(startDir) ?? await findUserConfigFile(userDir);
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Check a raw config value against the schema and turn it into the shape the
+// checker expects. Throws one error listing every problem found, each with
+// its line and column when the config came from JSON. Ignore patterns are
+// relative to the config file, or to `dir` for configs without one.
+export function resolveConfig(raw, { file, dir, locations = new Map() } = {}) {
+  const problems = [];
+  const problem = (path, message) => {
+    const location = locations.get(path);
+    problems.push(location ? `${path}: ${message} (line ${location.line}, column ${location.column})` : `${path || 'config'}: ${message}`);
+  };
+
+  const config = {
+    file,
+    dir: file ? dirname(file) : resolve(dir ?? '.'),
+    rules: [],
+    severities: new Map(),
+    disable: [],
+    safeSudoCommands: [],
+    containerPrefixes: [],
+    ignore: [],
+    downgradeLocalTargets: false,
+  };
+
+  if (!isPlainObject(raw)) {
+    problem('', 'Config must be an object');
+    throw configError(file, problems);
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      problem(key, `Unknown option "${key}". Expected one of: ${CONFIG_KEYS.join(', ')}`);
+    }
+  }
+
+  const stringList = (key) => {
+    const value = raw[key];
+    if (value === undefined) {
+      return [];
+    }
+    if (!Array.isArray(value)) {
+      problem(key, 'Must be an array of strings');
+      return [];
+    }
+    return value.filter((entry, index) => {
+      if (typeof entry !== 'string' || entry.trim() === '') {
+        problem(`${key}[${index}]`, 'Must be a non-empty string');
+        return false;
+      }
+      return true;
+    });
+  };
+
+  const severity = (path, value) => {
+    const upper = typeof value === 'string' ? value.toUpperCase() : value;
+    if (!SEVERITIES.includes(upper)) {
+      problem(path, `Severity must be one of: ${SEVERITIES.join(', ')}`);
+      return null;
+    }
+    return upper;
+  };
+
+  if (raw.rules !== undefined && !Array.isArray(raw.rules)) {
+    problem('rules', 'Must be an array of rule objects');
+  }
+  (Array.isArray(raw.rules) ? raw.rules : []).forEach((rule, index) => {
+    const path = `rules[${index}]`;
+    if (!isPlainObject(rule)) {
+      problem(path, 'Must be an object with name, pattern and severity');
+      return;
+    }
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key)) {
+        problem(`${path}.${key}`, `Unknown rule option "${key}". Expected one of: ${RULE_KEYS.join(', ')}`);
+      }
+    }
+
+    const { name, description = `Custom rule from ${file ? basename(file) : 'config'}`, skipContainerCheck = false } = rule;
+    if (typeof name !== 'string' || name.trim() === '') {
+      problem(`${path}.name`, 'Must be a non-empty string');
+      return;
+    }
+    const id = rule.id ?? `custom-${slugify(name)}`;
+    if (typeof id !== 'string' || id.trim() === '') {
+      problem(`${path}.id`, 'Must be a non-empty string');
+      return;
+    }
+    if ([...RULES, ...config.rules].some(existing => existing.id === id)) {
+      problem(rule.id === undefined ? `${path}.name` : `${path}.id`, `Rule id "${id}" is already in use`);
+      return;
+    }
+
+    // JSON configs give patterns as strings; JS configs may use regex literals
+    let pattern;
+    if (rule.pattern instanceof RegExp) {
+      pattern = new RegExp(rule.pattern.source, rule.pattern.flags.replace(/[gy]/g, ''));
+    } else if (typeof rule.pattern === 'string' && rule.pattern !== '') {
+      try {
+        pattern = new RegExp(rule.pattern);
+      } catch (err) {
+        problem(`${path}.pattern`, err.message);
+        return;
+      }
+    } else {
+      problem(`${path}.pattern`, 'Must be a regular expression string');
+      return;
+    }
+
+    const level = severity(`${path}.severity`, rule.severity);
+    if (typeof description !== 'string') {
+      problem(`${path}.description`, 'Must be a string');
+    }
+    if (typeof skipContainerCheck !== 'boolean') {
+      problem(`${path}.skipContainerCheck`, 'Must be true or false');
+    }
+    if (level) {
+      config.rules.push({ id, name, pattern, severity: level, description, skipContainerCheck });
+    }
+  });
+
+  // Severity overrides and disabled rules refer to built-in or custom rules by id or name
+  const knownRule = (key) => [...RULES, ...config.rules].some(({ id, name }) => key === id || key === name);
+
+  if (raw.severities !== undefined && !isPlainObject(raw.severities)) {
+    problem('severities', 'Must be an object mapping rule ids or names to severities');
+  }
+  for (const [key, value] of Object.entries(isPlainObject(raw.severities) ? raw.severities : {})) {
+    const path = joinPath('severities', key);
+    if (!knownRule(key)) {
+      problem(path, `Unknown rule "${key}"`);
+      continue;
+    }
+    const level = severity(path, value);
+    if (level) {
+      config.severities.set(key, level);
+    }
+  }
+
+  config.disable = stringList('disable').filter(key => {
+    if (!knownRule(key)) {
+      problem(`disable[${raw.disable.indexOf(key)}]`, `Unknown rule "${key}"`);
+      return false;
+    }
+    return true;
+  });
+  config.safeSudoCommands = stringList('safeSudoCommands');
+  config.containerPrefixes = stringList('containerPrefixes');
+  config.ignore = stringList('ignore');
+
+  if (raw.downgradeLocalTargets !== undefined && typeof raw.downgradeLocalTargets !== 'boolean') {
+    problem('downgradeLocalTargets', 'Must be true or false');
+  } else {
+    config.downgradeLocalTargets = raw.downgradeLocalTargets ?? false;
+  }
+
+  if (problems.length > 0) {
+    throw configError(file, problems);
+  }
+  return config;
+}
+
+function configError(file, problems) {
+  const source = file ? ` ${file}` : '';
+  return new Error(`Invalid config${source}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+}
+
+// Load and validate a config file. JSON files are parsed with source
+// locations for error messages; JS files must export the config as default.
+export async function loadConfig(file) {
+  if (file.endsWith('.json')) {
+    const text = await readFile(file, 'utf-8');
+    let parsed;
+    try {
+      parsed = parseJsonSource(text);
+    } catch (err) {
+      throw new Error(`Could not parse config ${file}: ${err.message}`);
+    }
+    return resolveConfig(parsed.value, { file, locations: parsed.locations });
+  }
+
+  const module = await import(pathToFileURL(file).href);
+  return resolveConfig(module.default, { file });
+}
+
+// A trusted config tightened by one that isn't, e.g. a config shipped by the
+// project a session runs in. Only what makes checks stricter is taken from
+// `untrusted`: its custom rules (unless their id is taken), and severity
+// overrides that raise a rule above what `trusted` gives it. Disabled rules,
+// lower severities, safe sudo commands, container prefixes and
+// downgradeLocalTargets are ignored. Both configs are resolved, or {}.
+export function stricterConfig(trusted, untrusted) {
+  const rules = [...(trusted.rules ?? [])];
+  for (const rule of untrusted.rules ?? []) {
+    if (!rules.some(({ id }) => id === rule.id)) {
+      rules.push(rule);
+    }
+  }
+
+  const current = activeRules({ ...trusted, rules });
+  const severities = new Map(trusted.severities ?? []);
+  for (const [key, severity] of untrusted.severities ?? []) {
+    const raised = current.filter(({ id, name }) => id === key || name === key)
+      .every(rule => SEVERITIES.indexOf(severity) < SEVERITIES.indexOf(rule.severity));
+    if (raised) {
+      severities.set(key, severity);
+    }
+  }
+
+  return { ...resolveConfig({}, { dir: trusted.dir }), ...trusted, rules, severities };
+}
+
+// Configs returned by loadConfig or resolveConfig, as opposed to raw ones
+function isResolved(config) {
+  return config.severities instanceof Map;
+}
+
+// Turn the config options of the library API into a resolved config. `config`
+// may be raw (shaped like a config file) or already resolved; `rules` are
+// extra custom rules in config file format. `dir` is where a raw config's
+// ignore patterns are resolved from.
+export function configFromOptions({ config, rules = [], dir } = {}) {
+  if (!config) {
+    return rules.length > 0 ? resolveConfig({ rules }, { dir }) : {};
+  }
+  if (!isResolved(config)) {
+    return resolveConfig({ ...config, rules: [...(config.rules ?? []), ...rules] }, { dir });
+  }
+  if (rules.length === 0) {
+    return config;
+  }
+  const extra = resolveConfig({ rules }, { dir });
+  const taken = extra.rules.find(({ id }) => config.rules.some(rule => rule.id === id));
+  if (taken) {
+    throw new Error(`Invalid rules: rule id "${taken.id}" is already in use`);
+  }
+  return { ...config, rules: [...config.rules, ...extra.rules] };
+}
+
+// Check if a settings file matches one of the config's ignore patterns.
+// Patterns are globs relative to the directory holding the config. Like in
+// .gitignore, a pattern matching a directory ignores everything below it.
+export function isIgnored(config, file) {
+  if (!config.ignore?.length) {
+    return false;
+  }
+  const rel = relative(config.dir, file).split(sep).join('/');
+  if (rel.startsWith('../')) {
+    return false;
+  }
+
+  const segments = rel.split('/');
+  const candidates = segments.map((_, index) => segments.slice(0, index + 1).join('/'));
+  return config.ignore.some(entry => {
+    const pattern = globToRegExp(entry.replace(/^\.\//, '').replace(/\/$/, ''));
+    return candidates.some(candidate => pattern.test(candidate));
+  });
+}
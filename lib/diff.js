@@ -0,0 +1,116 @@
+// Minimal line-based unified diff, enough to preview settings file edits
+
+// Edit script between two line arrays as a list of [' ' | '-' | '+', line]
+function diffLines(a, b) {
+  // Common prefix and suffix are cheap to strip and keep the table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const cols = midB.length + 1;
+
+  // lcs[i * cols + j] = length of the longest common subsequence of midA[i:] and midB[j:]
+  const lcs = new Uint32Array((midA.length + 1) * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => [' ', line]);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push([' ', midA[i]]);
+      i++;
+      j++;
+    } else if (j >= midB.length || (i < midA.length && lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1])) {
+      ops.push(['-', midA[i]]);
+      i++;
+    } else {
+      ops.push(['+', midB[j]]);
+      j++;
+    }
+  }
+  ops.push(...a.slice(endA).map(line => [' ', line]));
+
+  return ops;
+}
+
+function splitLines(text) {
+  const lines = text.split('\n');
+  // A trailing newline doesn't start another line
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+// Unified diff of two texts, or an empty string if they are identical
+export function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = ops.map(([op]) => op !== ' ');
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  let index = 0;
+  while (index < ops.length) {
+    if (!changed[index]) {
+      index++;
+      continue;
+    }
+
+    // Grow the hunk until the gap to the next change exceeds twice the context
+    const hunkStart = Math.max(0, index - context);
+    let hunkEnd = index;
+    while (hunkEnd < ops.length) {
+      if (changed[hunkEnd]) {
+        hunkEnd++;
+        continue;
+      }
+      let next = hunkEnd;
+      while (next < ops.length && !changed[next]) next++;
+      if (next < ops.length && next - hunkEnd <= context * 2) {
+        hunkEnd = next;
+      } else {
+        hunkEnd = Math.min(ops.length, hunkEnd + context);
+        break;
+      }
+    }
+
+    // Line numbers of the hunk in the old and new text
+    let oldLine = 1;
+    let newLine = 1;
+    for (const [op] of ops.slice(0, hunkStart)) {
+      if (op !== '+') oldLine++;
+      if (op !== '-') newLine++;
+    }
+    const hunk = ops.slice(hunkStart, hunkEnd);
+    const oldCount = hunk.filter(([op]) => op !== '+').length;
+    const newCount = hunk.filter(([op]) => op !== '-').length;
+
+    lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    for (const [op, line] of hunk) {
+      lines.push(`${op}${line}`);
+    }
+
+    index = hunkEnd;
+  }
+
+  return lines.join('\n');
+}
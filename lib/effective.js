@@ -0,0 +1,91 @@
+import { SCOPES, projectSettingsLayers, fileExists } from './scopes.js';
+import { auditPermissions } from './checker.js';
+import { loadSettingsFile, permissionsOf } from './scan.js';
+
+const LISTS = ['allow', 'ask', 'deny'];
+
+// Merge the permission lists of several settings layers the way Claude Code
+// does: lists are combined across scopes, and a rule defined in more than one
+// layer is attributed to the highest-precedence one.
+// Each layer is { scope, file, permissions, locations }.
+export function mergePermissionLayers(layers) {
+  const ordered = [...layers].sort((a, b) => SCOPES.indexOf(a.scope) - SCOPES.indexOf(b.scope));
+  const merged = { allow: [], ask: [], deny: [] };
+
+  for (const list of LISTS) {
+    const seen = new Map();
+
+    for (const { scope, file, permissions = {}, locations } of ordered) {
+      const entries = Array.isArray(permissions[list]) ? permissions[list] : [];
+
+      entries.forEach((rule, index) => {
+        if (typeof rule !== 'string') {
+          return;
+        }
+        const existing = seen.get(rule);
+        if (existing) {
+          existing.alsoIn.push({ scope, file });
+          return;
+        }
+        const path = `permissions.${list}[${index}]`;
+        const entry = { rule, scope, file, path, location: locations?.get(path), alsoIn: [] };
+        seen.set(rule, entry);
+        merged[list].push(entry);
+      });
+    }
+  }
+
+  return merged;
+}
+
+// Load every settings layer that applies to a project. Returns all candidate
+// layers (each marked found or not), the layers that exist with their
+// permissions, and read or parse errors tagged with their scope and file.
+export async function loadProjectLayers(project) {
+  const candidates = projectSettingsLayers(project);
+  const layers = [];
+  const errors = [];
+
+  for (const candidate of candidates) {
+    candidate.found = await fileExists(candidate.file);
+    if (!candidate.found) {
+      continue;
+    }
+    const { settings, locations, errors: fileErrors } = await loadSettingsFile(candidate.file);
+    errors.push(...fileErrors.map(error => ({ ...error, scope: candidate.scope, file: candidate.file })));
+    layers.push({ ...candidate, permissions: permissionsOf(settings), locations });
+  }
+
+  return { candidates, layers, errors };
+}
+
+// Audit the merged set as a whole, pointing each issue back at the file that defined the rule
+export function auditEffectivePermissions(merged, config = {}) {
+  const lists = Object.fromEntries(LISTS.map(list => [list, merged[list].map(({ rule }) => rule)]));
+
+  return auditPermissions(lists, config).map(issue => {
+    const [, list, index] = issue.path.match(/^permissions\.(\w+)\[(\d+)\]$/);
+    const { scope, file, path, location } = merged[list][Number(index)];
+    return { ...issue, scope, file, path, location };
+  });
+}
+
+// Regroup issues and errors into the { file, scope, issues, errors } shape the scan reports use
+export function groupByFile(issues, errors = []) {
+  const byFile = new Map();
+  const findingFor = (file, scope) => {
+    if (!byFile.has(file)) {
+      byFile.set(file, { file, scope, issues: [], errors: [] });
+    }
+    return byFile.get(file);
+  };
+
+  for (const issue of issues) {
+    findingFor(issue.file, issue.scope).issues.push(issue);
+  }
+  for (const { file, scope, ...error } of errors) {
+    findingFor(file, scope).errors.push(error);
+  }
+
+  return [...byFile.values()];
+}
@@ -0,0 +1,194 @@
+import { parseJsonSource, joinPath } from './json-source.js';
+import { isAtLeast } from './checker.js';
+
+// Settings edits are made on the source text rather than by re-serializing the
+// parsed object, so formatting, key order and unrelated entries stay untouched.
+
+// Path of an allow entry, capturing its index
+export const ALLOW_ENTRY = /^permissions\.allow\[(\d+)\]$/;
+
+function lineStart(text, offset) {
+  return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+// Leading whitespace of the line containing offset
+function indentAt(text, offset) {
+  return text.slice(lineStart(text, offset)).match(/^[ \t]*/)[0];
+}
+
+// Check if only whitespace precedes offset on its line
+function startsLine(text, offset) {
+  return /^[ \t]*$/.test(text.slice(lineStart(text, offset), offset));
+}
+
+// Indentation step used by the file, defaulting to two spaces
+function indentUnit(text) {
+  return text.match(/\n([ \t]+)\S/)?.[1] || '  ';
+}
+
+function splice(text, start, end, insert = '') {
+  return text.slice(0, start) + insert + text.slice(end);
+}
+
+function elementLocations(locations, arrayPath) {
+  const elements = [];
+  while (locations.has(`${arrayPath}[${elements.length}]`)) {
+    elements.push(locations.get(`${arrayPath}[${elements.length}]`));
+  }
+  return elements;
+}
+
+// Render a JSON value on one line, e.g. { "a": [1, 2] }
+function renderInline(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(renderInline).join(', ')}]`;
+  }
+  if (typeof value === 'object' && value !== null) {
+    const members = Object.entries(value).map(([key, member]) => `${JSON.stringify(key)}: ${renderInline(member)}`);
+    return members.length > 0 ? `{ ${members.join(', ')} }` : '{}';
+  }
+  return JSON.stringify(value);
+}
+
+// Render any JSON value to sit at offset, laid out like the surrounding file
+function renderValue(text, offset, value) {
+  if (!text.trim().includes('\n')) {
+    return renderInline(value);
+  }
+  return JSON.stringify(value, null, indentUnit(text)).replace(/\n/g, `\n${indentAt(text, offset)}`);
+}
+
+// Render a string array laid out like the surrounding file
+function renderArray(text, offset, entries) {
+  const values = entries.map(entry => JSON.stringify(entry));
+  if (!text.trim().includes('\n')) {
+    return `[${values.join(', ')}]`;
+  }
+  const indent = indentAt(text, offset);
+  const inner = indent + indentUnit(text);
+  return `[\n${values.map(value => inner + value).join(',\n')}\n${indent}]`;
+}
+
+// Remove one element of the array at arrayPath, along with its separator
+export function removeArrayEntry(text, arrayPath, index) {
+  const { locations } = parseJsonSource(text);
+  const elements = elementLocations(locations, arrayPath);
+
+  if (elements.length === 1) {
+    const array = locations.get(arrayPath);
+    return splice(text, array.start, array.end, '[]');
+  }
+  if (index < elements.length - 1) {
+    return splice(text, elements[index].start, elements[index + 1].start);
+  }
+  return splice(text, elements[index - 1].end, elements[index].end);
+}
+
+// Append values to the array at arrayPath, matching the layout of existing elements
+export function appendArrayEntries(text, arrayPath, entries) {
+  const { locations } = parseJsonSource(text);
+  const elements = elementLocations(locations, arrayPath);
+
+  if (elements.length === 0) {
+    const array = locations.get(arrayPath);
+    const rendered = entries.every(entry => typeof entry === 'string')
+      ? renderArray(text, array.start, entries)
+      : renderValue(text, array.start, entries);
+    return splice(text, array.start, array.end, rendered);
+  }
+
+  const last = elements[elements.length - 1];
+  const separator = startsLine(text, last.start) ? `,\n${indentAt(text, last.start)}` : ', ';
+  const insert = entries.map(entry => separator + renderValue(text, last.start, entry)).join('');
+  return splice(text, last.end, last.end, insert);
+}
+
+// Add a property at the end of the object at objectPath ('' for the top level)
+export function addObjectProperty(text, objectPath, key, value) {
+  const { value: root, locations } = parseJsonSource(text);
+  const object = locations.get(objectPath);
+  const keys = Object.keys(objectPath === '' ? root : objectPath.split('.').reduce((parent, name) => parent[name], root));
+
+  if (keys.length === 0) {
+    // An empty file ("{}") gets the usual layout rather than a single line
+    const rendered = objectPath === ''
+      ? JSON.stringify({ [key]: value }, null, indentUnit(text))
+      : renderValue(text, object.start, { [key]: value });
+    return splice(text, object.start, object.end, rendered);
+  }
+
+  const last = locations.get(joinPath(objectPath, keys[keys.length - 1]));
+  // The last member's key starts its line; its value may be further along
+  const separator = text.trim().includes('\n') ? `,\n${indentAt(text, last.start)}` : ', ';
+  const property = `${JSON.stringify(key)}: ${renderValue(text, last.start, value)}`;
+  return splice(text, last.end, last.end, separator + property);
+}
+
+// Add a new array property right after the value at siblingPath
+function insertArrayProperty(text, siblingPath, key, entries) {
+  const { locations } = parseJsonSource(text);
+  const sibling = locations.get(siblingPath);
+  const separator = text.trim().includes('\n') ? `,\n${indentAt(text, sibling.start)}` : ', ';
+  const property = `${JSON.stringify(key)}: ${renderArray(text, sibling.start, entries)}`;
+  return splice(text, sibling.end, sibling.end, separator + property);
+}
+
+// Indexes of allow entries with issues at or above the threshold
+export function fixableIndexes(issues, threshold) {
+  const indexes = new Set();
+  for (const { path, severity } of issues) {
+    const match = path?.match(ALLOW_ENTRY);
+    if (match && isAtLeast(severity, threshold)) {
+      indexes.add(Number(match[1]));
+    }
+  }
+  return [...indexes].sort((a, b) => a - b);
+}
+
+// Apply edits given as entry paths like "permissions.deny[2]": entries in
+// `remove` are deleted, allow entries in `moveToAsk` are moved to the ask list.
+// Throws if the permissions block doesn't have the shape needed for the edit.
+export function editSettingsText(text, { remove = [], moveToAsk = [] }) {
+  const { value } = parseJsonSource(text);
+  const { allow, ask } = value.permissions;
+
+  const moves = moveToAsk.map(path => {
+    const match = path.match(ALLOW_ENTRY);
+    if (!match) {
+      throw new Error(`Only allow entries can be moved to "ask", got ${path}`);
+    }
+    return Number(match[1]);
+  });
+
+  if (moves.length > 0 && ask !== undefined && !Array.isArray(ask)) {
+    throw new Error('Cannot move entries to "ask": permissions.ask is not an array');
+  }
+
+  // Remove from the end of each list so earlier indexes stay valid
+  const removals = [...new Set([...remove, ...moveToAsk])]
+    .map(path => path.match(/^(permissions\.\w+)\[(\d+)\]$/))
+    .filter(Boolean)
+    .map(([, list, index]) => ({ list, index: Number(index) }))
+    .sort((a, b) => b.index - a.index);
+
+  let result = text;
+  for (const { list, index } of removals) {
+    result = removeArrayEntry(result, list, index);
+  }
+
+  const additions = [...new Set(moves.map(index => allow[index]))].filter(entry => !ask?.includes(entry));
+  if (additions.length > 0) {
+    result = Array.isArray(ask)
+      ? appendArrayEntries(result, 'permissions.ask', additions)
+      : insertArrayProperty(result, 'permissions.allow', 'ask', additions);
+  }
+
+  return result;
+}
+
+// Rewrite settings text so the given allow entries are removed, or moved to
+// the ask list when action is 'ask'
+export function fixSettingsText(text, indexes, { action = 'remove' } = {}) {
+  const paths = indexes.map(index => `permissions.allow[${index}]`);
+  return editSettingsText(text, action === 'ask' ? { moveToAsk: paths } : { remove: paths });
+}
@@ -0,0 +1,157 @@
+import { createReadStream } from 'node:fs';
+import { glob } from 'node:fs/promises';
+import { join, relative, isAbsolute } from 'node:path';
+import { createInterface } from 'node:readline';
+import { checkPermission } from './checker.js';
+import { findCoveringRule } from './rules.js';
+import { loadProjectLayers, mergePermissionLayers } from './effective.js';
+import { userConfigDir } from './scopes.js';
+
+// Commands that actually ran, from Claude Code's session transcripts. Each
+// session is a JSONL file under ~/.claude/projects/<project>/, one entry per
+// line: assistant messages carry tool_use blocks, and the following user
+// message carries the matching tool_result.
+
+// Results that mean the call never ran: rejected at the prompt, or denied by
+// a rule or hook
+const BLOCKED_RESULT = /doesn't want to (?:proceed|take this action)|tool use was rejected|permission to use .+ has been denied|hook .*(?:blocked|denied)/i;
+
+export function transcriptsDir() {
+  return join(userConfigDir(), 'projects');
+}
+
+// Every transcript under dir, including subagent sessions in subdirectories
+export async function findTranscripts(dir) {
+  const files = [];
+  for await (const file of glob('**/*.jsonl', { cwd: dir })) {
+    files.push(join(dir, file));
+  }
+  return files.sort();
+}
+
+// Parsed entries of a transcript, read line by line so long sessions don't
+// have to fit in memory. Lines that aren't JSON (e.g. one still being
+// written) are skipped.
+export async function* readTranscript(file) {
+  const lines = createInterface({ input: createReadStream(file, { encoding: 'utf-8' }), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim() === '') {
+      continue;
+    }
+    try {
+      yield JSON.parse(line);
+    } catch {
+      // Not a complete entry
+    }
+  }
+}
+
+function contentBlocks(entry) {
+  const content = entry?.message?.content;
+  return Array.isArray(content) ? content : [];
+}
+
+function resultText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return Array.isArray(content) ? content.map(block => block?.text ?? '').join('\n') : '';
+}
+
+export function isBlockedResult({ is_error: isError, content }) {
+  return Boolean(isError) && BLOCKED_RESULT.test(resultText(content));
+}
+
+// Bash calls in transcript entries (an array or async iterable), in order, as
+// { id, command, timestamp, cwd, session, blocked }. Calls without a result,
+// e.g. from a session that was interrupted, count as not blocked.
+export async function bashCalls(entries) {
+  const calls = new Map();
+
+  for await (const entry of entries) {
+    for (const block of contentBlocks(entry)) {
+      if (block?.type === 'tool_use' && block.name === 'Bash' && typeof block.input?.command === 'string') {
+        calls.set(block.id, {
+          id: block.id,
+          command: block.input.command,
+          timestamp: entry.timestamp,
+          cwd: entry.cwd,
+          session: entry.sessionId,
+          blocked: false,
+        });
+      } else if (block?.type === 'tool_result' && calls.has(block.tool_use_id)) {
+        calls.get(block.tool_use_id).blocked = isBlockedResult(block);
+      }
+    }
+  }
+
+  return [...calls.values()];
+}
+
+// The allow rule that lets a command run without a prompt, as a merged
+// permission entry ({ rule, scope, file, ... }), or undefined. A chained
+// command like "npm test && rm -rf ~/" only counts as approved by a rule that
+// covers every command in it, or one written for the whole chain.
+export function approvingRule(command, allow) {
+  const rule = findCoveringRule(allow.map(({ rule: entry }) => entry), `Bash(${command})`);
+  return rule === undefined ? undefined : allow.find(entry => entry.rule === rule);
+}
+
+function isInside(dir, path) {
+  const inside = relative(dir, path);
+  return !inside.startsWith('..') && !isAbsolute(inside);
+}
+
+// Audit the Bash commands that ran in every transcript under `dir`. Options:
+// `project` keeps only commands run in or below that directory, `since` (a
+// Date) drops older ones, and `configFor(cwd)` returns the config to check a
+// project's commands with. Approval is judged against each project's allow
+// rules as they are now, since transcripts don't record which rule applied.
+// Returns { transcripts, commands, findings }, one finding per dangerous
+// command: { transcript, project, session, timestamp, command, issues, approval }.
+export async function auditHistory({ dir = transcriptsDir(), project, since, configFor = async () => ({}) } = {}) {
+  const transcripts = await findTranscripts(dir);
+  const allowRules = new Map();
+  const findings = [];
+  let commands = 0;
+
+  const allowFor = async (cwd) => {
+    if (!allowRules.has(cwd)) {
+      const { layers } = await loadProjectLayers(cwd);
+      allowRules.set(cwd, mergePermissionLayers(layers).allow);
+    }
+    return allowRules.get(cwd);
+  };
+
+  for (const transcript of transcripts) {
+    for (const call of await bashCalls(readTranscript(transcript))) {
+      if (call.blocked || typeof call.cwd !== 'string') {
+        continue;
+      }
+      if (project && !isInside(project, call.cwd)) {
+        continue;
+      }
+      if (since && !(new Date(call.timestamp) >= since)) {
+        continue;
+      }
+      commands++;
+
+      const issues = checkPermission(`Bash(${call.command})`, await configFor(call.cwd), { implied: false });
+      if (issues.length === 0) {
+        continue;
+      }
+      const approval = approvingRule(call.command, await allowFor(call.cwd));
+      findings.push({
+        transcript,
+        project: call.cwd,
+        session: call.session,
+        timestamp: call.timestamp,
+        command: call.command,
+        issues,
+        approval: approval ? { rule: approval.rule, scope: approval.scope, file: approval.file } : null,
+      });
+    }
+  }
+
+  return { transcripts, commands, findings };
+}
@@ -0,0 +1,145 @@
+import { isAbsolute, relative, resolve } from 'node:path';
+import { checkPermission, isAtLeast } from './checker.js';
+import { findProjectConfigFile, findUserConfigFile, loadConfig, stricterConfig } from './config.js';
+import { parseJsonSource } from './json-source.js';
+import { addObjectProperty, appendArrayEntries } from './fix.js';
+
+// Claude Code PreToolUse hook: checks each tool call before it runs, using the
+// same rules as a settings scan. Claude Code sends the call as JSON on stdin,
+// e.g. { "tool_name": "Bash", "tool_input": { "command": "rm -rf ~/" }, "cwd": "/repo" },
+// and reads a permission decision from stdout.
+
+// Tools the hook knows how to check, and the tool_input field holding the path
+const PATH_FIELDS = {
+  Write: 'file_path',
+  Edit: 'file_path',
+  MultiEdit: 'file_path',
+  NotebookEdit: 'notebook_path',
+  Read: 'file_path',
+  NotebookRead: 'notebook_path',
+};
+
+export const HOOK_TOOLS = ['Bash', ...Object.keys(PATH_FIELDS)];
+
+export const DEFAULT_HOOK_COMMAND = 'cc-safe hook';
+
+// The permission rule a tool call would need, e.g. "Bash(rm -rf ~/)" or
+// "Write(src/app.js)". Paths inside the working directory are made relative,
+// so they count as project files. Returns null for tools the hook doesn't check.
+export function toolPermission({ tool_name: tool, tool_input: input, cwd }) {
+  if (tool === 'Bash') {
+    return typeof input?.command === 'string' ? `Bash(${input.command})` : null;
+  }
+  const path = input?.[PATH_FIELDS[tool]];
+  if (!Object.hasOwn(PATH_FIELDS, tool) || typeof path !== 'string') {
+    return null;
+  }
+  if (cwd && isAbsolute(path)) {
+    const inside = relative(cwd, path);
+    if (inside !== '' && !inside.startsWith('..') && !isAbsolute(inside)) {
+      return `${tool}(${inside})`;
+    }
+    // Rule syntax for an absolute path
+    return `${tool}(/${path})`;
+  }
+  return `${tool}(${path})`;
+}
+
+// The config for tool calls in cwd. A config passed explicitly is used as it
+// is. Otherwise the user's own config applies, tightened by the project's
+// .cc-safe.json: the hook runs in whatever repository a session is in, so a
+// project can add rules and raise severities but not switch checks off. A
+// project config that can't be loaded is skipped and passed to onError.
+export async function loadHookConfig(cwd, { config: configFile, userDir, onError = () => {} } = {}) {
+  if (configFile) {
+    return loadConfig(resolve(configFile));
+  }
+  const userFile = await findUserConfigFile(userDir);
+  const trusted = userFile ? await loadConfig(userFile) : {};
+
+  const projectFile = await findProjectConfigFile(cwd);
+  if (!projectFile) {
+    return trusted;
+  }
+  try {
+    return stricterConfig(trusted, await loadConfig(projectFile));
+  } catch (err) {
+    onError(err);
+    return trusted;
+  }
+}
+
+// Decide on one tool call: HIGH issues deny it, MEDIUM ones ask for
+// confirmation. Anything else gets no decision (null), leaving it to Claude
+// Code's own permission rules; answering "allow" would skip them. Destructive
+// commands on project-local paths, like "rm -rf node_modules", only ask.
+export function hookDecision(payload, config = {}) {
+  const permission = toolPermission(payload);
+  if (permission === null) {
+    return null;
+  }
+
+  const issues = checkPermission(permission, { ...config, downgradeLocalTargets: true }, { implied: false }).filter(({ severity }) => isAtLeast(severity, 'MEDIUM'));
+  if (issues.length === 0) {
+    return null;
+  }
+
+  const decision = issues.some(({ severity }) => severity === 'HIGH') ? 'deny' : 'ask';
+  const reasons = issues.map(({ name, severity, description, target }) =>
+    `[${severity}] ${name}: ${description}${target ? ` (on "${target.argument}", ${target.reason})` : ''}`
+  );
+  return { decision, reason: `cc-safe: ${reasons.join('; ')}`, issues };
+}
+
+// The hook's stdout for a decision, in Claude Code's hook output format
+export function formatHookOutput(result) {
+  if (result === null) {
+    return '';
+  }
+  return JSON.stringify({
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: result.decision,
+      permissionDecisionReason: result.reason,
+    },
+  });
+}
+
+// Check if settings already run the hook command before tool calls
+export function hasHook(settings, command = DEFAULT_HOOK_COMMAND) {
+  const groups = settings?.hooks?.PreToolUse;
+  return Array.isArray(groups) && groups.some(group =>
+    Array.isArray(group?.hooks) && group.hooks.some(hook => hook?.command === command)
+  );
+}
+
+// Add the hook to settings text, keeping the rest of the file as it is.
+// Returns the text unchanged when the hook is already there. Throws if hooks
+// or hooks.PreToolUse exist but have the wrong type.
+export function installHookText(text, command = DEFAULT_HOOK_COMMAND) {
+  const source = text.trim() === '' ? '{}\n' : text;
+  const { value } = parseJsonSource(source);
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('Settings must be a JSON object');
+  }
+  if (hasHook(value, command)) {
+    return text;
+  }
+
+  const group = { matcher: HOOK_TOOLS.join('|'), hooks: [{ type: 'command', command }] };
+  const { hooks } = value;
+
+  if (hooks === undefined) {
+    return addObjectProperty(source, '', 'hooks', { PreToolUse: [group] });
+  }
+  if (typeof hooks !== 'object' || hooks === null || Array.isArray(hooks)) {
+    throw new Error('"hooks" must be an object');
+  }
+  if (hooks.PreToolUse === undefined) {
+    return addObjectProperty(source, 'hooks', 'PreToolUse', [group]);
+  }
+  if (!Array.isArray(hooks.PreToolUse)) {
+    throw new Error('"hooks.PreToolUse" must be an array');
+  }
+  return appendArrayEntries(source, 'hooks.PreToolUse', [group]);
+}
@@ -0,0 +1,201 @@
+import { RULES, SEVERITIES, suggestionNote } from './checker.js';
+import { displayPath, summarize } from './report.js';
+import { RISK_WEIGHTS, projectOf, riskSummary } from './summary.js';
+
+// A report as a single HTML page to share with people who don't run the
+// scanner. Styles and the filter script are inlined and nothing is loaded
+// from the network, so the file works offline and in air-gapped environments.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+const STYLE = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; margin: 2rem auto; max-width: 72rem; padding: 0 1rem; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.2rem; margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: 0.25rem; }
+  code { font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; background: #f6f8fa; padding: 0.1rem 0.3rem; border-radius: 4px; word-break: break-all; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; padding: 0.4rem 0.6rem; border-bottom: 1px solid #eaeef2; }
+  th { background: #f6f8fa; }
+  td.number { text-align: right; }
+  .meta, .detail { color: #59636e; }
+  .detail { font-size: 12px; }
+  .totals { display: flex; gap: 1rem; flex-wrap: wrap; }
+  .total { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.5rem 1rem; min-width: 6rem; }
+  .total strong { display: block; font-size: 1.5rem; }
+  .severity { display: inline-block; border-radius: 4px; padding: 0 0.4rem; font-size: 12px; font-weight: 600; color: #fff; }
+  .HIGH { background: #cf222e; }
+  .MEDIUM { background: #bc4c00; }
+  .LOW { background: #6e7781; }
+  .filters { display: flex; gap: 0.75rem; flex-wrap: wrap; align-items: center; margin-bottom: 0.75rem; }
+  .filters select, .filters input { font: inherit; padding: 0.2rem 0.4rem; }
+  .rule { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.5rem 1rem; margin-bottom: 0.75rem; }
+  .rule h3 { font-size: 1rem; margin: 0.25rem 0; }
+  .rule p { margin: 0.25rem 0; }
+`;
+
+// Show the rows of the findings table that match every filter
+const SCRIPT = `
+  const filters = document.querySelectorAll('[data-filter]');
+  const rows = document.querySelectorAll('#findings tbody tr');
+  const count = document.getElementById('shown');
+  function apply() {
+    let shown = 0;
+    for (const row of rows) {
+      const visible = [...filters].every(filter => {
+        const value = filter.value.trim().toLowerCase();
+        if (value === '') return true;
+        const field = filter.dataset.filter;
+        return field === 'text' ? row.textContent.toLowerCase().includes(value) : row.dataset[field] === filter.value;
+      });
+      row.hidden = !visible;
+      if (visible) shown++;
+    }
+    count.textContent = shown;
+  }
+  filters.forEach(filter => filter.addEventListener('input', apply));
+`;
+
+function severityBadge(severity) {
+  return `<span class="severity ${escapeHtml(severity)}">${escapeHtml(severity)}</span>`;
+}
+
+function options(values, allLabel) {
+  return [`<option value="">${escapeHtml(allLabel)}</option>`, ...values.map(([value, label]) =>
+    `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`
+  )].join('');
+}
+
+// Where a settings file belongs: its project, or its scope for user and managed settings
+function projectLabel(root, file, scope) {
+  const project = projectOf(file, scope);
+  return project === null ? `(${scope})` : displayPath(root, project);
+}
+
+function issueDetails({ implied, target, note, suggestion, originalSeverity, severity }) {
+  const details = [];
+  if (implied) details.push(`allows <code>${escapeHtml(implied)}</code>`);
+  if (target) details.push(`on <code>${escapeHtml(target.argument)}</code> (${escapeHtml(target.reason)})`);
+  if (originalSeverity && originalSeverity !== severity) details.push(`${escapeHtml(originalSeverity)} before downgrade`);
+  // Notes that only repeat the suggestion are left to the Suggestion column
+  if (note && !(suggestion && note === suggestionNote(suggestion))) details.push(escapeHtml(note));
+  return details.length > 0 ? `<div class="detail">${details.join(' &middot; ')}</div>` : '';
+}
+
+function suggestionText(suggestion) {
+  if (suggestion?.action === 'replace') {
+    return `Replace with <code>${escapeHtml(suggestion.replacement)}</code>`;
+  }
+  if (suggestion?.action === 'remove') {
+    return 'Remove';
+  }
+  return suggestion?.action === 'ask' ? 'Move to &quot;ask&quot;' : '';
+}
+
+function findingRows(root, findings) {
+  return findings.flatMap(({ file, scope, issues }) => issues.map(issue => {
+    const project = projectLabel(root, file, scope);
+    const line = issue.location?.line ? `:${issue.location.line}` : '';
+    return `<tr data-severity="${escapeHtml(issue.severity)}" data-rule="${escapeHtml(issue.id)}" data-project="${escapeHtml(project)}">
+      <td>${severityBadge(issue.severity)}</td>
+      <td><a href="#rule-${escapeHtml(issue.id)}">${escapeHtml(issue.name)}</a></td>
+      <td><code>${escapeHtml(issue.permission)}</code>${issueDetails(issue)}</td>
+      <td>${suggestionText(issue.suggestion)}</td>
+      <td>${escapeHtml(project)}</td>
+      <td><code>${escapeHtml(displayPath(root, file))}${line}</code> <span class="detail">[${escapeHtml(scope)}]</span></td>
+    </tr>`;
+  }));
+}
+
+// One card per rule that was reported: what it means and what to do instead
+function ruleCards(issues, rules) {
+  const reported = new Map(issues.map(issue => [issue.id, issue]));
+  return [...reported.values()]
+    .map(issue => ({ ...issue, ...rules.find(({ id }) => id === issue.id) }))
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.name.localeCompare(b.name))
+    .map(({ id, name, severity, description, remediation }) => `<div class="rule" id="rule-${escapeHtml(id)}">
+      <h3>${severityBadge(severity)} ${escapeHtml(name)} <span class="detail"><code>${escapeHtml(id)}</code></span></h3>
+      <p>${escapeHtml(description)}</p>
+      <p><strong>Remediation:</strong> ${remediation ? escapeHtml(remediation) : 'Review whether the rule is needed, and narrow it or move it to "ask".'}</p>
+    </div>`);
+}
+
+// The whole report as an HTML document. `rules` gives the descriptions and
+// remediation shown per rule (activeRules(config) to include custom rules),
+// and `time` is when the scan ran.
+export function formatHtml({ root, files, findings, rules = RULES, time = new Date() }) {
+  const issues = findings.flatMap(finding => finding.issues);
+  const errors = findings.flatMap(({ file, errors: fileErrors = [] }) => fileErrors.map(error => ({ file, ...error })));
+  const { high, medium, low, total } = summarize(findings);
+  const { projects } = riskSummary(findings);
+
+  const ruleOptions = [...new Map(issues.map(({ id, name }) => [id, name]))].sort((a, b) => a[1].localeCompare(b[1]));
+  const projectOptions = [...new Set(findings.filter(({ issues: found }) => found.length > 0)
+    .map(({ file, scope }) => projectLabel(root, file, scope)))].sort().map(project => [project, project]);
+
+  const sections = [
+    `<h1>cc-safe report</h1>
+    <p class="meta">Scanned ${files.length} settings file(s) in <code>${escapeHtml(root)}</code> on ${escapeHtml(time.toISOString())}</p>`,
+    `<h2>Summary</h2>
+    <div class="totals">
+      <div class="total"><strong>${high}</strong>${severityBadge('HIGH')}</div>
+      <div class="total"><strong>${medium}</strong>${severityBadge('MEDIUM')}</div>
+      <div class="total"><strong>${low}</strong>${severityBadge('LOW')}</div>
+      <div class="total"><strong>${errors.length}</strong>settings file errors</div>
+    </div>`,
+  ];
+
+  if (projects.length > 0) {
+    sections.push(`<h2>Projects by risk score</h2>
+    <p class="meta">${Object.entries(RISK_WEIGHTS).map(([severity, weight]) => `${weight} per ${severity}`).join(', ')} finding</p>
+    <table>
+      <thead><tr><th>Project</th><th>Score</th><th>High</th><th>Medium</th><th>Low</th></tr></thead>
+      <tbody>${projects.map(({ project, score, high: h, medium: m, low: l }) =>
+    `<tr><td>${escapeHtml(displayPath(root, project))}</td><td class="number">${score}</td><td class="number">${h}</td><td class="number">${m}</td><td class="number">${l}</td></tr>`
+  ).join('\n')}</tbody>
+    </table>`);
+  }
+
+  if (total > 0) {
+    sections.push(`<h2>Findings</h2>
+    <div class="filters">
+      <select data-filter="severity" aria-label="Severity">${options(SEVERITIES.map(severity => [severity, severity]), 'All severities')}</select>
+      <select data-filter="rule" aria-label="Rule">${options(ruleOptions, 'All rules')}</select>
+      <select data-filter="project" aria-label="Project">${options(projectOptions, 'All projects')}</select>
+      <input data-filter="text" type="search" placeholder="Search" aria-label="Search">
+      <span class="meta">Showing <span id="shown">${total}</span> of ${total}</span>
+    </div>
+    <table id="findings">
+      <thead><tr><th>Severity</th><th>Rule</th><th>Permission</th><th>Suggestion</th><th>Project</th><th>File</th></tr></thead>
+      <tbody>${findingRows(root, findings).join('\n')}</tbody>
+    </table>`);
+    sections.push(`<h2>Rules and remediation</h2>
+    ${ruleCards(issues, rules).join('\n')}`);
+  } else {
+    sections.push('<p>No dangerous patterns found.</p>');
+  }
+
+  if (errors.length > 0) {
+    sections.push(`<h2>Settings file errors</h2>
+    <ul>${errors.map(({ file, type, message }) =>
+    `<li><code>${escapeHtml(displayPath(root, file))}</code>: ${escapeHtml(type)}: ${escapeHtml(message)}</li>`
+  ).join('\n')}</ul>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>cc-safe report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${sections.join('\n')}
+<script>${SCRIPT}</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,83 @@
+import { ALLOW_ENTRY } from './fix.js';
+
+// Step-by-step triage of scan findings. The prompt function is injected so the
+// review loop doesn't depend on a real terminal.
+
+const CHOICES = {
+  k: 'keep',
+  r: 'remove',
+  a: 'ask',
+  b: 'baseline',
+  q: 'quit',
+};
+
+const PERMISSION_ENTRY = /^permissions\.\w+\[\d+\]$/;
+
+function editsFor(edits, file) {
+  if (!edits.has(file)) {
+    edits.set(file, { remove: [], moveToAsk: [] });
+  }
+  return edits.get(file);
+}
+
+// Walk every issue and ask what to do with it. Returns the settings edits per
+// file ({ remove, moveToAsk } entry paths) and the issues to add to the baseline.
+export async function reviewFindings(findings, prompt, { write = console.log } = {}) {
+  const edits = new Map();
+  const baseline = [];
+  const decided = new Set();
+  const total = findings.reduce((count, { issues }) => count + issues.length, 0);
+  let position = 0;
+
+  for (const { file, scope, issues } of findings) {
+    for (const issue of issues) {
+      position++;
+      const { name, severity, description, permission, implied, target, path, note } = issue;
+      const entryKey = `${file}\0${path}`;
+
+      write(`\n[${position}/${total}] [${severity}] ${name}: "${permission}"${implied ? ` allows "${implied}"` : ''}${target ? ` on "${target.argument}" (${target.reason})` : ''}`);
+      write(`  File: ${file}${scope ? ` [${scope}]` : ''}`);
+      write(`  ${description}${note ? ` (${note})` : ''}`);
+
+      // Several rules can flag the same entry; once it's edited, the rest follow
+      if (decided.has(entryKey)) {
+        write('  Already handled with an earlier finding for this entry.');
+        continue;
+      }
+
+      // Hook, status line and MCP server commands can only be kept or baselined
+      const canMove = ALLOW_ENTRY.test(path);
+      const canRemove = PERMISSION_ENTRY.test(path);
+      const options = ['(k)eep', canRemove && '(r)emove', canMove && 'move to (a)sk', 'add to (b)aseline', '(q)uit']
+        .filter(Boolean)
+        .join(', ');
+
+      let choice;
+      while (!choice) {
+        const answer = (await prompt(`  ${options}? `)).trim().toLowerCase();
+        choice = CHOICES[answer[0]];
+        if ((choice === 'ask' && !canMove) || (choice === 'remove' && !canRemove)) {
+          choice = undefined;
+        }
+        if (!choice) {
+          write('  Please answer with one of the letters in parentheses.');
+        }
+      }
+
+      if (choice === 'quit') {
+        return { edits, baseline };
+      }
+      if (choice === 'remove') {
+        editsFor(edits, file).remove.push(path);
+        decided.add(entryKey);
+      } else if (choice === 'ask') {
+        editsFor(edits, file).moveToAsk.push(path);
+        decided.add(entryKey);
+      } else if (choice === 'baseline') {
+        baseline.push({ file, issue });
+      }
+    }
+  }
+
+  return { edits, baseline };
+}
@@ -0,0 +1,213 @@
+// JSON parser that remembers where each value lives in the source text.
+// JSON.parse throws positions away, but reports need to point at the exact
+// line of an offending entry inside a settings file.
+
+const WHITESPACE = /[ \t\n\r]*/y;
+const STRING = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const LITERALS = { true: true, false: false, null: null };
+
+// Check if a parsed JSON value is an object, as opposed to an array or null
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Append an object key or array index to a path like "permissions.allow[0]"
+export function joinPath(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return parent ? `${parent}.${key}` : key;
+  }
+  return `${parent}[${JSON.stringify(key)}]`;
+}
+
+// Offsets at which each line of the text begins
+function lineStartsOf(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+function positionAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
+
+// Convert a character offset into 1-based line and column numbers
+export function offsetToPosition(text, offset) {
+  return positionAt(lineStartsOf(text), offset);
+}
+
+// Parse JSON text, returning the value and a Map from path to source location.
+// Each location has start/end offsets plus 1-based line/column of both ends.
+// Throws a SyntaxError with line and column properties on invalid input.
+export function parseJsonSource(text) {
+  const locations = new Map();
+  const lineStarts = lineStartsOf(text);
+  let pos = 0;
+
+  function fail(message, offset = pos) {
+    const { line, column } = positionAt(lineStarts, offset);
+    const err = new SyntaxError(`${message} at line ${line} column ${column}`);
+    err.line = line;
+    err.column = column;
+    err.offset = offset;
+    throw err;
+  }
+
+  function skipWhitespace() {
+    WHITESPACE.lastIndex = pos;
+    WHITESPACE.exec(text);
+    pos = WHITESPACE.lastIndex;
+  }
+
+  function describeToken() {
+    return pos >= text.length ? 'Unexpected end of JSON input' : `Unexpected token ${JSON.stringify(text[pos])}`;
+  }
+
+  function expect(char) {
+    if (text[pos] !== char) {
+      fail(`${describeToken()}, expected ${JSON.stringify(char)}`);
+    }
+    pos++;
+  }
+
+  function readToken(regex) {
+    regex.lastIndex = pos;
+    const match = regex.exec(text);
+    if (!match) {
+      return null;
+    }
+    pos = regex.lastIndex;
+    return match[0];
+  }
+
+  function parseString() {
+    const raw = readToken(STRING);
+    if (raw === null) {
+      fail(text[pos] === '"' ? 'Invalid string' : `${describeToken()}, expected string`);
+    }
+    return JSON.parse(raw);
+  }
+
+  function parseObject(path) {
+    const result = {};
+    expect('{');
+    skipWhitespace();
+
+    if (text[pos] === '}') {
+      pos++;
+      return result;
+    }
+
+    while (true) {
+      skipWhitespace();
+      const key = parseString();
+      skipWhitespace();
+      expect(':');
+      // defineProperty so a "__proto__" key stays an ordinary property, like JSON.parse
+      Object.defineProperty(result, key, {
+        value: parseValue(joinPath(path, key)),
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+      skipWhitespace();
+
+      if (text[pos] === ',') {
+        pos++;
+        continue;
+      }
+      expect('}');
+      return result;
+    }
+  }
+
+  function parseArray(path) {
+    const result = [];
+    expect('[');
+    skipWhitespace();
+
+    if (text[pos] === ']') {
+      pos++;
+      return result;
+    }
+
+    while (true) {
+      result.push(parseValue(joinPath(path, result.length)));
+      skipWhitespace();
+
+      if (text[pos] === ',') {
+        pos++;
+        continue;
+      }
+      expect(']');
+      return result;
+    }
+  }
+
+  function parseValue(path) {
+    skipWhitespace();
+    const start = pos;
+    let value;
+
+    const char = text[pos];
+    if (char === '{') {
+      value = parseObject(path);
+    } else if (char === '[') {
+      value = parseArray(path);
+    } else if (char === '"') {
+      value = parseString();
+    } else {
+      const number = readToken(NUMBER);
+      if (number !== null) {
+        value = Number(number);
+      } else {
+        const literal = Object.keys(LITERALS).find(word => text.startsWith(word, pos));
+        if (!literal) {
+          fail(describeToken());
+        }
+        pos += literal.length;
+        value = LITERALS[literal];
+      }
+    }
+
+    const startPosition = positionAt(lineStarts, start);
+    const endPosition = positionAt(lineStarts, pos);
+    locations.set(path, {
+      start,
+      end: pos,
+      line: startPosition.line,
+      column: startPosition.column,
+      endLine: endPosition.line,
+      endColumn: endPosition.column,
+    });
+
+    return value;
+  }
+
+  const value = parseValue('');
+  skipWhitespace();
+  if (pos < text.length) {
+    fail(describeToken());
+  }
+
+  return { value, locations };
+}
@@ -0,0 +1,397 @@
+import { isAbsolute, relative } from 'node:path';
+import { SCOPES, resolveScopes } from './scopes.js';
+import { RISK_WEIGHTS, riskSummary } from './summary.js';
+
+// Count issues per severity across all findings, plus files that had errors
+export function summarize(findings) {
+  const summary = { high: 0, medium: 0, low: 0, total: 0, errors: 0 };
+
+  for (const { issues, errors = [] } of findings) {
+    for (const { severity } of issues) {
+      if (severity === 'HIGH') summary.high++;
+      else if (severity === 'MEDIUM') summary.medium++;
+      else if (severity === 'LOW') summary.low++;
+      summary.total++;
+    }
+    summary.errors += errors.length;
+  }
+
+  return summary;
+}
+
+function formatErrorLocation(location) {
+  return location?.line ? ` (line ${location.line}, column ${location.column})` : '';
+}
+
+// Prefix rules name the dangerous command they let through
+function impliedText(implied) {
+  return implied ? ` allows "${implied}"` : '';
+}
+
+// Destructive commands name the argument that changed their severity
+function targetText(target) {
+  return target ? ` on "${target.argument}" (${target.reason})` : '';
+}
+
+// Which scope wins for permissions that are allowed in more than one scope
+function formatScopeResolution(findings) {
+  const lines = [`Scope precedence: ${SCOPES.join(' > ')}`];
+
+  for (const { permission, scopes, winner } of resolveScopes(findings)) {
+    if (scopes.length > 1) {
+      lines.push(`  "${permission}" is allowed in ${scopes.join(', ')} - ${winner} wins`);
+    }
+  }
+
+  lines.push('');
+  return lines;
+}
+
+// Suppressed and stale counts for a scan that used a baseline file
+function formatBaseline({ file, suppressed, stale }) {
+  const lines = [`Baseline: ${suppressed} finding(s) suppressed by ${file}`];
+
+  if (stale.length > 0) {
+    lines.push('Stale baseline entries (no longer found, remove them from the baseline):');
+    for (const { file: entryFile, rule, permission } of stale) {
+      lines.push(`  ${entryFile}: ${rule} "${permission}"`);
+    }
+  }
+
+  lines.push('');
+  return lines;
+}
+
+// The file heading, then one line per error and issue
+function formatFinding({ file, scope, issues, errors = [] }) {
+  const lines = [scope ? `${file} [${scope}]` : file];
+  for (const { type, message, location } of errors) {
+    // Parse errors already name their position in the message
+    const position = type === 'parse' ? '' : formatErrorLocation(location);
+    lines.push(`  [ERROR] ${type}: ${message}${position}`);
+  }
+  for (const { name, severity, permission, implied, target, note } of issues) {
+    lines.push(`  [${severity}] ${name}: "${permission}"${impliedText(implied)}${targetText(target)}${note ? ` - ${note}` : ''}`);
+  }
+  return lines;
+}
+
+// Human-readable report, one block per settings file
+export function formatText(findings, { showScopes = false, baseline } = {}) {
+  if (findings.length === 0) {
+    const lines = baseline ? formatBaseline(baseline) : [];
+    lines.push('No dangerous patterns found.');
+    return lines.join('\n');
+  }
+
+  const lines = [];
+
+  for (const finding of findings) {
+    lines.push(...formatFinding(finding), '');
+  }
+
+  if (showScopes) {
+    lines.push(...formatScopeResolution(findings));
+  }
+
+  if (baseline) {
+    lines.push(...formatBaseline(baseline));
+  }
+
+  lines.push(formatSummary(findings));
+
+  return lines.join('\n');
+}
+
+// Local date and time, e.g. "2026-05-04 14:03:09"
+function formatTime(time) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const date = `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}`;
+  return `${date} ${pad(time.getHours())}:${pad(time.getMinutes())}:${pad(time.getSeconds())}`;
+}
+
+// New findings from watch mode, each file heading prefixed with the local time
+// of the scan, e.g. "[2026-05-04 14:03:09] /repo/.claude/settings.local.json"
+export function formatWatchText(findings, time) {
+  const stamp = `[${formatTime(time)}]`;
+
+  return findings
+    .map(finding => {
+      const [heading, ...rest] = formatFinding(finding);
+      return [`${stamp} ${heading}`, ...rest].join('\n');
+    })
+    .join('\n\n');
+}
+
+// One-line totals, e.g. "Summary: 1 high, 2 low risk pattern(s) found"
+export function formatSummary(findings) {
+  const { high, medium, low, total, errors } = summarize(findings);
+  const parts = [];
+  if (high > 0) parts.push(`${high} high`);
+  if (medium > 0) parts.push(`${medium} medium`);
+  if (low > 0) parts.push(`${low} low`);
+
+  const sentences = [];
+  if (total > 0) sentences.push(`${parts.join(', ')} risk pattern(s) found`);
+  if (errors > 0) sentences.push(`${errors} settings file error(s)`);
+  if (sentences.length === 0) sentences.push('no risk patterns found');
+  return `Summary: ${sentences.join('; ')}`;
+}
+
+// Machine-readable report for dashboards and other tooling
+export function formatJson({ root, files, findings, baseline }) {
+  const report = {
+    root,
+    files,
+    findings: findings.map(({ file, scope, issues, errors = [] }) => ({
+      file,
+      scope,
+      issues: issues.map(({ id, name, severity, originalSeverity, description, permission, implied, target, source, note, suggestion, path, location }) => ({
+        id,
+        name,
+        severity,
+        originalSeverity,
+        description,
+        permission,
+        implied,
+        target,
+        source,
+        note,
+        suggestion,
+        path,
+        line: location?.line,
+        column: location?.column,
+      })),
+      errors: errors.map(({ type, message, path, location }) => ({
+        type,
+        message,
+        path,
+        line: location?.line,
+        column: location?.column,
+      })),
+    })),
+    scopes: {
+      precedence: SCOPES,
+      resolution: resolveScopes(findings),
+    },
+    baseline,
+    summary: { files: files.length, ...summarize(findings) },
+  };
+
+  return JSON.stringify(report, null, 2);
+}
+
+// Human-readable view of the merged permissions of one project
+export function formatEffectiveText({ project, layers, permissions, issues, errors }) {
+  const lines = [`Effective permissions for: ${project}`, '', 'Settings layers (highest precedence first):'];
+  const width = Math.max(...SCOPES.map(scope => scope.length));
+
+  for (const { scope, file, found } of layers) {
+    lines.push(`  ${scope.padEnd(width)}  ${file}${found ? '' : ' (not found)'}`);
+  }
+  lines.push('');
+
+  for (const list of ['allow', 'ask', 'deny']) {
+    const entries = permissions[list];
+    lines.push(`${list}:${entries.length === 0 ? ' (none)' : ''}`);
+    for (const { rule, scope } of entries) {
+      lines.push(`  ${rule} [${scope}]`);
+    }
+  }
+  lines.push('');
+
+  if (issues.length === 0 && errors.length === 0) {
+    lines.push('No dangerous patterns found.');
+    return lines.join('\n');
+  }
+
+  lines.push('Findings:');
+  for (const { file, type, message } of errors) {
+    lines.push(`  [ERROR] ${type}: ${message} (${file})`);
+  }
+  for (const { name, severity, permission, implied, target, scope, note } of issues) {
+    lines.push(`  [${severity}] ${name}: "${permission}"${impliedText(implied)}${targetText(target)} [${scope}]${note ? ` - ${note}` : ''}`);
+  }
+  lines.push('');
+  lines.push(formatSummary([{ issues, errors }]));
+
+  return lines.join('\n');
+}
+
+// Machine-readable view of the merged permissions of one project
+export function formatEffectiveJson({ project, layers, permissions, issues, errors }) {
+  const report = {
+    project,
+    layers,
+    permissions: Object.fromEntries(Object.entries(permissions).map(([list, entries]) => [
+      list,
+      entries.map(({ rule, scope, file, path, alsoIn }) => ({ rule, scope, file, path, alsoIn })),
+    ])),
+    issues: issues.map(({ id, name, severity, originalSeverity, description, permission, implied, target, note, suggestion, scope, file, path, location }) => ({
+      id,
+      name,
+      severity,
+      originalSeverity,
+      description,
+      permission,
+      implied,
+      target,
+      note,
+      suggestion,
+      scope,
+      file,
+      path,
+      line: location?.line,
+      column: location?.column,
+    })),
+    errors: errors.map(({ file, type, message, path, location }) => ({
+      file,
+      type,
+      message,
+      path,
+      line: location?.line,
+      column: location?.column,
+    })),
+    summary: summarize([{ issues, errors }]),
+  };
+
+  return JSON.stringify(report, null, 2);
+}
+
+// A command on one line, shortened: transcripts are full of multi-line scripts
+function commandPreview(command, maxLength = 120) {
+  const line = command.replace(/\s+/g, ' ').trim();
+  return line.length > maxLength ? `${line.slice(0, maxLength - 3)}...` : line;
+}
+
+function approvalText(approval) {
+  return approval ? `auto-approved by "${approval.rule}" [${approval.scope}]` : 'not matched by an allow rule';
+}
+
+// Dangerous commands from session transcripts, grouped by project in time order
+export function formatHistoryText({ transcripts, commands, findings }) {
+  const lines = [];
+  const byProject = Map.groupBy(findings, ({ project }) => project);
+
+  for (const project of [...byProject.keys()].sort()) {
+    lines.push(project);
+    const sorted = byProject.get(project).toSorted((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    for (const { timestamp, command, issues, approval } of sorted) {
+      const time = Number.isNaN(Date.parse(timestamp)) ? 'unknown time' : formatTime(new Date(timestamp));
+      for (const { name, severity, target } of issues) {
+        lines.push(`  ${time} [${severity}] ${name}: "${commandPreview(command)}"${targetText(target)} - ${approvalText(approval)}`);
+      }
+    }
+    lines.push('');
+  }
+
+  if (findings.length === 0) {
+    lines.push('No dangerous commands found.');
+  }
+  lines.push(`Checked ${commands} command(s) in ${transcripts.length} transcript(s)`);
+  if (findings.length > 0) {
+    lines.push(formatSummary(findings));
+  }
+  return lines.join('\n');
+}
+
+export function formatHistoryJson({ transcripts, commands, findings }) {
+  const report = {
+    transcripts: transcripts.length,
+    commands,
+    findings: findings.map(({ transcript, project, session, timestamp, command, issues, approval }) => ({
+      transcript,
+      project,
+      session,
+      timestamp,
+      command,
+      approval,
+      issues: issues.map(({ id, name, severity, originalSeverity, description, target }) => ({
+        id,
+        name,
+        severity,
+        originalSeverity,
+        description,
+        target,
+      })),
+    })),
+    summary: summarize(findings),
+  };
+
+  return JSON.stringify(report, null, 2);
+}
+
+// A path relative to the scan root when it's inside it, "." for the root itself
+export function displayPath(root, path) {
+  const inside = relative(root, path);
+  return inside.startsWith('..') || isAbsolute(inside) ? path : inside || '.';
+}
+
+// Columns padded to their widest cell, numbers aligned right
+function formatTable(header, rows) {
+  const widths = header.map((cell, index) => Math.max(cell.length, ...rows.map(row => String(row[index]).length)));
+  const last = header.length - 1;
+  const pad = (cell, index) => {
+    if (index === last) {
+      return String(cell);
+    }
+    return typeof cell === 'number' ? String(cell).padStart(widths[index]) : cell.padEnd(widths[index]);
+  };
+  return [header, ...rows].map(row => `  ${row.map(pad).join('  ')}`);
+}
+
+// Risk scores per project and settings file, worst first, and how many
+// projects each rule turns up in
+export function formatRiskText({ root, files, findings }) {
+  const { projects, files: scored, rules } = riskSummary(findings);
+  const weights = Object.entries(RISK_WEIGHTS).map(([severity, weight]) => `${weight} per ${severity}`).join(', ');
+  const lines = [`Risk score: ${weights} finding`, ''];
+
+  if (projects.length > 0) {
+    lines.push('Projects (worst first):');
+    lines.push(...formatTable(
+      ['Score', 'High', 'Medium', 'Low', 'Files', 'Project'],
+      projects.map(({ project, score, high, medium, low, files: count }) => [score, high, medium, low, count, displayPath(root, project)])
+    ));
+    lines.push('');
+  }
+
+  if (scored.length > 0) {
+    lines.push('Settings files (worst first):');
+    lines.push(...formatTable(
+      ['Score', 'High', 'Medium', 'Low', 'Errors', 'File'],
+      scored.map(({ file, scope, score, high, medium, low, errors }) => [score, high, medium, low, errors, `${displayPath(root, file)} [${scope}]`])
+    ));
+    lines.push('');
+  }
+
+  if (rules.length > 0) {
+    lines.push('Rules (most widespread first):');
+    lines.push(...formatTable(
+      ['Projects', 'Findings', 'Severity', 'Rule'],
+      rules.map(({ name, severity, findings: count, projects: spread }) => [spread, count, severity, name])
+    ));
+    lines.push('');
+  }
+
+  if (findings.length === 0) {
+    lines.push('No dangerous patterns found.');
+  }
+  lines.push(`Scanned ${files.length} settings file(s)`);
+  lines.push(formatSummary(findings));
+  return lines.join('\n');
+}
+
+export function formatRiskJson({ root, files, findings }) {
+  const { projects, files: scored, rules } = riskSummary(findings);
+  const report = {
+    root,
+    weights: RISK_WEIGHTS,
+    projects,
+    files: scored,
+    rules,
+    summary: { files: files.length, ...summarize(findings) },
+  };
+
+  return JSON.stringify(report, null, 2);
+}
@@ -0,0 +1,184 @@
+// Matching engine for Claude Code permission rules like "Bash(npm run test:*)".
+// A rule is a tool name with an optional specifier in parentheses. A specifier
+// ending in ":*" is a prefix match; anything else must match exactly.
+
+import { parseShell } from './shell.js';
+
+// Built-in tools that accept permission rules
+export const KNOWN_TOOLS = [
+  'Bash',
+  'Edit',
+  'Glob',
+  'Grep',
+  'LS',
+  'MultiEdit',
+  'NotebookEdit',
+  'NotebookRead',
+  'Read',
+  'Task',
+  'TodoWrite',
+  'WebFetch',
+  'WebSearch',
+  'Write',
+];
+
+// Parse a rule string into { tool, specifier, prefix }, or null if malformed.
+// specifier is null for bare tool rules; for prefix rules it excludes the ":*".
+export function parseRule(rule) {
+  if (typeof rule !== 'string') {
+    return null;
+  }
+
+  const match = rule.trim().match(/^([A-Za-z_][\w-]*)(?:\((.*)\))?$/s);
+  if (!match) {
+    return null;
+  }
+
+  const [, tool, inner] = match;
+  if (inner === undefined) {
+    return { tool, specifier: null, prefix: false };
+  }
+
+  if (inner.endsWith(':*')) {
+    return { tool, specifier: inner.slice(0, -2), prefix: true };
+  }
+  return { tool, specifier: inner, prefix: false };
+}
+
+// Tools whose specifiers are paths, which may be globs like "~/.ssh/**"
+const PATH_TOOLS = ['Edit', 'MultiEdit', 'NotebookEdit', 'NotebookRead', 'Read', 'Write'];
+
+export function isKnownTool(tool) {
+  return KNOWN_TOOLS.includes(tool) || tool.startsWith('mcp__');
+}
+
+// Paths follow Claude Code's rule syntax: "//path" is absolute, "~/path" is in
+// the home directory. "/path" is meant relative to the settings file, but is
+// nearly always written as an absolute path, so it's treated as one. Home
+// directories spelled out ("$HOME", "/home/name") become "~".
+export function normalizePath(path) {
+  return path.trim()
+    .replace(/^\/\//, '/')
+    .replace(/^(?:\$HOME|\$\{HOME\}|\/root|\/(?:home|Users)\/[^/*?]+)(?=\/|$)/, '~')
+    .replace(/^\.\//, '')
+    .replace(/\/$/, '/**');
+}
+
+// Translate a path glob, as used in ignore lists and in file rules like
+// "Read(~/.aws/**)", into a regex. "**" spans directories, "*" and "?" stay
+// within one path segment. Unlike shell globs they also match dot files and
+// directories.
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (glob.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (glob.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// The simple commands a Bash command line runs, each as its words joined by
+// spaces: "npm test && rm -rf ~/" runs "npm test" and "rm -rf ~/". Commands in
+// substitutions count too.
+export function commandParts(command) {
+  return parseShell(command).filter(({ argv }) => argv.length > 0).map(({ argv }) => argv.join(' '));
+}
+
+// Prefix matching stops at word boundaries, so "rm:*" covers "rm -rf" but not "rmdir"
+function hasPrefix(text, prefix) {
+  if (!text.startsWith(prefix)) {
+    return false;
+  }
+  return text.length === prefix.length || /\s$/.test(prefix) || /^\s/.test(text.slice(prefix.length));
+}
+
+// Check if the path glob `broad` matches every path `narrow` does: a plain
+// path it matches, or a glob inside a directory that `broad` covers with "/**"
+function pathCovers(broad, narrow) {
+  const broadPath = normalizePath(broad);
+  const narrowPath = normalizePath(narrow);
+  if (broadPath === narrowPath) {
+    return true;
+  }
+  if (!/[*?]/.test(narrowPath)) {
+    return globToRegExp(broadPath).test(narrowPath);
+  }
+  const dir = broadPath.match(/^([^*?]*)\/\*\*$/)?.[1];
+  return dir !== undefined && narrowPath.startsWith(`${dir}/`);
+}
+
+// Check if every tool call allowed by `narrow` is also matched by `broad`.
+// Both arguments are parsed rules. A Bash command made of several simple
+// commands is only covered if each of them is, so "Bash(npm test:*)" doesn't
+// cover "Bash(npm test && rm -rf ~/)".
+export function ruleCovers(broad, narrow) {
+  if (!broad || !narrow || broad.tool !== narrow.tool) {
+    return false;
+  }
+  if (broad.specifier === null) {
+    return true;
+  }
+  if (narrow.specifier === null) {
+    return false;
+  }
+  if (broad.tool === 'Bash' && broad.specifier !== narrow.specifier) {
+    const parts = commandParts(narrow.specifier);
+    if (parts.length > 1) {
+      return parts.every(part => specifierCovers(broad, { ...narrow, specifier: part }));
+    }
+  }
+  return specifierCovers(broad, narrow);
+}
+
+// Compare the specifiers of two rules for the same tool, both non-null
+function specifierCovers(broad, narrow) {
+  if (broad.prefix) {
+    return hasPrefix(narrow.specifier, broad.specifier);
+  }
+  if (PATH_TOOLS.includes(broad.tool) && !narrow.prefix) {
+    return pathCovers(broad.specifier, narrow.specifier);
+  }
+  return !narrow.prefix && broad.specifier === narrow.specifier;
+}
+
+// Check if a rule string matches a concrete tool call, e.g. ("Bash(git:*)", "Bash", "git status")
+export function matchesToolCall(rule, tool, specifier) {
+  return ruleCovers(parseRule(rule), { tool, specifier: specifier ?? null, prefix: false });
+}
+
+// Find the first rule in a list that covers the given rule string
+export function findCoveringRule(rules, rule) {
+  const narrow = parseRule(rule);
+  return rules.find(candidate => ruleCovers(parseRule(candidate), narrow));
+}
+
+// Explain why a rule can never match anything, or return null if it looks usable
+export function ruleProblem(rule) {
+  const parsed = parseRule(rule);
+
+  if (!parsed) {
+    return 'Malformed rule, expected Tool or Tool(specifier)';
+  }
+  if (!isKnownTool(parsed.tool)) {
+    return `Unknown tool "${parsed.tool}"; tool names are case-sensitive`;
+  }
+  if (parsed.specifier !== null && parsed.specifier.trim() === '') {
+    return 'Empty specifier matches nothing';
+  }
+  if (parsed.specifier?.includes(':*')) {
+    return '":*" only works at the end of a rule';
+  }
+  return null;
+}
@@ -0,0 +1,141 @@
+import { readFileSync } from 'node:fs';
+import { relative, isAbsolute, sep } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { RULES } from './checker.js';
+
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF result levels for each cc-safe severity
+const SEVERITY_LEVELS = {
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  LOW: 'note',
+};
+
+// Numeric scores used by GitHub code scanning to rank security alerts
+const SECURITY_SEVERITY = {
+  HIGH: '8.0',
+  MEDIUM: '5.0',
+  LOW: '2.0',
+};
+
+// Files under the scan root are reported relative to %SRCROOT%, others by absolute URI
+function artifactLocation(root, file) {
+  const rel = relative(root, file);
+  if (rel && !rel.startsWith('..') && !isAbsolute(rel)) {
+    return { uri: rel.split(sep).join('/'), uriBaseId: '%SRCROOT%' };
+  }
+  return { uri: pathToFileURL(file).href };
+}
+
+function toSarifRule({ id, name, severity, description, remediation }) {
+  return {
+    id,
+    name,
+    shortDescription: { text: name },
+    fullDescription: { text: description },
+    ...(remediation ? { help: { text: remediation } } : {}),
+    defaultConfiguration: { level: SEVERITY_LEVELS[severity] },
+    properties: {
+      severity,
+      'security-severity': SECURITY_SEVERITY[severity],
+      tags: ['security'],
+    },
+  };
+}
+
+function toSarifResult(root, { file, scope }, issue, ruleIndexes) {
+  const { id, name, severity, description, permission, implied, target, note, suggestion, location } = issue;
+  const physicalLocation = { artifactLocation: artifactLocation(root, file) };
+
+  if (location) {
+    physicalLocation.region = {
+      startLine: location.line,
+      startColumn: location.column,
+      endLine: location.endLine,
+      endColumn: location.endColumn,
+    };
+  }
+
+  return {
+    ruleId: id,
+    ruleIndex: ruleIndexes.get(id),
+    level: SEVERITY_LEVELS[severity],
+    message: { text: `${name}: "${permission}"${implied ? ` allows "${implied}"` : ''}${target ? ` on "${target.argument}" (${target.reason})` : ''} - ${description}${note ? ` (${note})` : ''}` },
+    locations: [{ physicalLocation }],
+    properties: suggestion ? { scope, suggestion } : { scope },
+  };
+}
+
+// Files that couldn't be analyzed become tool notifications rather than results
+function toSarifNotification(root, file, { type, message, location }) {
+  const physicalLocation = { artifactLocation: artifactLocation(root, file) };
+
+  if (location?.line) {
+    physicalLocation.region = { startLine: location.line, startColumn: location.column };
+  }
+
+  return {
+    level: 'error',
+    message: { text: `${type} error: ${message}` },
+    locations: [{ physicalLocation }],
+    properties: { type },
+  };
+}
+
+// SARIF 2.1.0 log for code-scanning integrations. rules defaults to the
+// built-in rules; pass activeRules(config) when a project config is in use.
+// Reported rules that aren't in the list, like custom rules from the configs
+// of projects below root, are declared from their issues.
+export function formatSarif({ root, findings, rules: knownRules = RULES }) {
+  const rules = [...knownRules];
+  for (const { id, name, severity, description } of findings.flatMap(({ issues }) => issues)) {
+    if (!rules.some(rule => rule.id === id)) {
+      rules.push({ id, name, severity, description });
+    }
+  }
+  const ruleIndexes = new Map(rules.map(({ id }, index) => [id, index]));
+  const results = [];
+  const notifications = [];
+
+  for (const finding of findings) {
+    const { file, issues, errors = [] } = finding;
+    for (const issue of issues) {
+      results.push(toSarifResult(root, finding, issue, ruleIndexes));
+    }
+    for (const error of errors) {
+      notifications.push(toSarifNotification(root, file, error));
+    }
+  }
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'cc-safe',
+            version,
+            informationUri: 'https://github.com/ykdojo/cc-safe',
+            rules: rules.map(toSarifRule),
+          },
+        },
+        invocations: [
+          {
+            executionSuccessful: notifications.length === 0,
+            toolExecutionNotifications: notifications,
+          },
+        ],
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: pathToFileURL(root).href.replace(/\/?$/, '/') },
+        },
+        results,
+      },
+    ],
+  };
+
+  return JSON.stringify(log, null, 2);
+}
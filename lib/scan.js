@@ -0,0 +1,285 @@
+import { spawnSync } from 'node:child_process';
+import { glob, readFile, stat } from 'node:fs/promises';
+import { dirname, isAbsolute, join, relative, resolve } from 'node:path';
+import { platform } from 'node:os';
+import { auditPermissions, auditSettings, isAtLeast, SEVERITIES } from './checker.js';
+import { auditSettingsCommands } from './commands.js';
+import { CONFIG_FILE, configFromOptions, findConfigFile, isIgnored, loadConfig, stricterConfig } from './config.js';
+import { isPlainObject, parseJsonSource } from './json-source.js';
+import { fileExists, findScopeSettingsFiles, scopeOf } from './scopes.js';
+
+// Finding and analyzing settings files: the scan behind the CLI and the
+// library API in index.js.
+
+const IGNORE_DIRS = ['node_modules', '.git', 'dist', 'build', 'vendor'];
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return /^[aeiou]/.test(typeof value) ? `an ${typeof value}` : `a ${typeof value}`;
+}
+
+// Report entries that don't have the shape Claude Code expects
+function checkSettingsShape(settings, locations) {
+  const errors = [];
+  const shapeError = (path, message) => {
+    errors.push({ type: 'shape', message, path, location: locations.get(path) });
+  };
+
+  if (!isPlainObject(settings)) {
+    shapeError('', `Settings must be a JSON object, got ${describeType(settings)}`);
+    return errors;
+  }
+
+  const { permissions } = settings;
+  if (permissions === undefined) {
+    return errors;
+  }
+  if (!isPlainObject(permissions)) {
+    shapeError('permissions', `"permissions" must be an object, got ${describeType(permissions)}`);
+    return errors;
+  }
+
+  for (const list of ['allow', 'ask', 'deny']) {
+    const entries = permissions[list];
+    if (entries === undefined) {
+      continue;
+    }
+    if (!Array.isArray(entries)) {
+      shapeError(`permissions.${list}`, `"permissions.${list}" must be an array, got ${describeType(entries)}`);
+      continue;
+    }
+    entries.forEach((entry, index) => {
+      if (typeof entry !== 'string') {
+        shapeError(`permissions.${list}[${index}]`, `Permission entries must be strings, got ${describeType(entry)}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Parse settings text, keeping source locations for reporting. Text that
+// can't be parsed or understood comes back with errors.
+export function parseSettings(text) {
+  let parsed;
+  try {
+    parsed = parseJsonSource(text);
+  } catch (err) {
+    const location = { line: err.line, column: err.column };
+    return { settings: null, locations: new Map(), errors: [{ type: 'parse', message: err.message, location }] };
+  }
+
+  const { value: settings, locations } = parsed;
+  return { settings, locations, errors: checkSettingsShape(settings, locations) };
+}
+
+// Read and parse a settings file, keeping source locations for reporting.
+// Files that can't be read, parsed or understood come back with errors
+// rather than being skipped, so they don't look like clean files.
+export async function loadSettingsFile(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf-8');
+  } catch (err) {
+    return { settings: null, locations: new Map(), errors: [{ type: 'read', message: err.message }] };
+  }
+
+  return parseSettings(content);
+}
+
+export function permissionsOf(settings) {
+  return isPlainObject(settings?.permissions) ? settings.permissions : {};
+}
+
+// Analyze parsed settings for dangerous patterns in their permissions, in
+// risky settings like bypassPermissions mode, and in the commands they run by
+// themselves (hooks, status line, MCP servers)
+export function analyzeParsedSettings({ settings, locations = new Map(), errors = [] }, config = {}) {
+  const issues = [
+    ...auditPermissions(permissionsOf(settings), config),
+    ...auditSettings(settings, config),
+    ...auditSettingsCommands(settings, config),
+  ].map(issue => ({
+    ...issue,
+    location: locations.get(issue.path),
+  }));
+
+  return { issues, errors };
+}
+
+export async function analyzeSettingsFile(filePath, config = {}) {
+  return analyzeParsedSettings(await loadSettingsFile(filePath), config);
+}
+
+// Use native find on Mac/Linux for speed
+function findSettingsFilesUnix(targetDir) {
+  const args = [
+    targetDir,
+    '-type', 'f',
+    '(',
+    '(', '-name', 'settings.json', '-o', '-name', 'settings.local.json', ')', '-path', '*/.claude/*',
+    '-o', '-name', '.mcp.json',
+    ')',
+  ];
+
+  const result = spawnSync('find', args, {
+    encoding: 'utf-8',
+    maxBuffer: 10 * 1024 * 1024
+  });
+
+  if (result.error) {
+    return [];
+  }
+
+  // find returns non-zero on permission errors, but still outputs valid results
+  const files = result.stdout.trim().split('\n').filter(Boolean);
+
+  // On macOS, /System/Volumes/Data/Users is a firmlink to /Users - skip duplicates
+  return files.filter(f => !f.startsWith('/System/Volumes/Data/'));
+}
+
+// Fallback to Node glob for Windows
+async function findSettingsFilesWindows(targetDir) {
+  const patterns = [
+    '.claude/settings.json',
+    '.claude/settings.local.json',
+    '**/*/.claude/settings.json',
+    '**/*/.claude/settings.local.json',
+    '.mcp.json',
+    '**/*/.mcp.json',
+  ];
+
+  const files = [];
+
+  for (const pattern of patterns) {
+    const matches = glob(pattern, {
+      cwd: targetDir,
+      exclude: (name) => IGNORE_DIRS.some(dir => name.includes(dir)),
+    });
+
+    for await (const file of matches) {
+      files.push(join(targetDir, file));
+    }
+  }
+
+  return files;
+}
+
+function findProjectSettingsFiles(targetDir) {
+  const os = platform();
+
+  if (os === 'darwin' || os === 'linux') {
+    return findSettingsFilesUnix(targetDir);
+  } else {
+    return findSettingsFilesWindows(targetDir);
+  }
+}
+
+// Settings files under targetDir, plus user-global and managed policy files when requested
+export async function findSettingsFiles(targetDir, { user = false, managed = false } = {}) {
+  const scopeFiles = await findScopeSettingsFiles({ user, managed });
+  const projectFiles = await findProjectSettingsFiles(targetDir);
+
+  // Scanning the home directory finds the user settings file a second time
+  return [...new Set([...scopeFiles, ...projectFiles])];
+}
+
+export async function isDirectory(path) {
+  try {
+    return (await stat(path)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// The config a scan runs with. `config` is a config file path, a config
+// object, or false to use none; without it the nearest config file at or
+// above root is used. `rules` adds custom rules on top.
+export async function loadScanConfig(root, { config, rules } = {}) {
+  if (config === false) {
+    return configFromOptions({ rules, dir: root });
+  }
+  if (typeof config === 'string' || config === undefined) {
+    const file = config === undefined ? await findConfigFile(root) : resolve(config);
+    return configFromOptions({ config: file ? await loadConfig(file) : undefined, rules, dir: root });
+  }
+  return configFromOptions({ config, rules, dir: root });
+}
+
+// Looks up the config for each settings file, as { file, config }: `config`
+// (the one for root) tightened by the nearest .cc-safe.json below root, if
+// there is one. Those configs come with the projects being scanned, so like
+// for the hook they can add rules and raise severities but not ignore files,
+// disable rules or lower severities (see stricterConfig). Configs are loaded
+// once per directory.
+function projectConfigLookup(root, config) {
+  const byDir = new Map();
+
+  const load = async (dir) => {
+    const file = join(dir, CONFIG_FILE);
+    return await fileExists(file) ? { file, config: stricterConfig(config, await loadConfig(file)) } : configIn(dirname(dir));
+  };
+  const configIn = (dir) => {
+    if (dir === root) {
+      return { file: null, config };
+    }
+    if (!byDir.has(dir)) {
+      byDir.set(dir, load(dir));
+    }
+    return byDir.get(dir);
+  };
+
+  return (file) => {
+    const inside = relative(root, dirname(file));
+    return inside.startsWith('..') || isAbsolute(inside) ? { file: null, config } : configIn(dirname(file));
+  };
+}
+
+// Scopes whose settings live outside the scanned directory
+const EXTRA_SCOPES = ['user', 'managed'];
+
+// Find and analyze every settings file under root. Files matching the
+// config's ignore list are skipped, and issues below minSeverity left out.
+// `scopes` adds settings outside root: 'user' and 'managed'. With
+// `projectConfigs`, which is the default unless a config is given, settings
+// in a project below root that has its own .cc-safe.json are checked with
+// the stricter parts of it; `configFiles` in the result lists the ones used.
+export async function scan({ root = '.', scopes = [], minSeverity = 'LOW', config, rules, projectConfigs = config === undefined } = {}) {
+  const targetDir = resolve(root);
+  if (!(await isDirectory(targetDir))) {
+    throw new Error(`Directory not found: ${targetDir}`);
+  }
+  const unknownScope = scopes.find(scope => !EXTRA_SCOPES.includes(scope));
+  if (unknownScope !== undefined) {
+    throw new Error(`Unknown scope "${unknownScope}". Expected one of: ${EXTRA_SCOPES.join(', ')}`);
+  }
+  if (!SEVERITIES.includes(minSeverity)) {
+    throw new Error(`Unknown severity "${minSeverity}". Expected one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  const loaded = await loadScanConfig(targetDir, { config, rules });
+  const scopeOptions = { user: scopes.includes('user'), managed: scopes.includes('managed') };
+  const configFor = projectConfigs ? projectConfigLookup(targetDir, loaded) : () => ({ file: null, config: loaded });
+  const files = (await findSettingsFiles(targetDir, scopeOptions)).filter(file => !isIgnored(loaded, file));
+  const fileConfigs = new Map();
+  const configFiles = new Set();
+  for (const file of files) {
+    const { file: configFile, config: fileConfig } = await configFor(file);
+    fileConfigs.set(file, fileConfig);
+    if (configFile) {
+      configFiles.add(configFile);
+    }
+  }
+  const findings = [];
+
+  for (const file of files) {
+    const { issues, errors } = await analyzeSettingsFile(file, fileConfigs.get(file));
+    const shown = issues.filter(({ severity }) => isAtLeast(severity, minSeverity));
+    if (shown.length > 0 || errors.length > 0) {
+      findings.push({ file, scope: scopeOf(file), issues: shown, errors });
+    }
+  }
+
+  return { root: targetDir, files, findings, config: loaded, configFiles: [...configFiles].sort() };
+}
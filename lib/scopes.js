@@ -0,0 +1,100 @@
+import { access } from 'node:fs/promises';
+import { basename, join, resolve } from 'node:path';
+import { homedir, platform } from 'node:os';
+
+// Settings scopes, highest precedence first (managed policy always wins)
+export const SCOPES = ['managed', 'local', 'project', 'user'];
+
+// Directory holding user-level settings, honoring Claude Code's CLAUDE_CONFIG_DIR override
+export function userConfigDir() {
+  return resolve(process.env.CLAUDE_CONFIG_DIR || join(homedir(), '.claude'));
+}
+
+export function userSettingsPath() {
+  return join(userConfigDir(), 'settings.json');
+}
+
+// System-wide managed policy file deployed by administrators
+export function managedSettingsPath(os = platform()) {
+  if (os === 'darwin') {
+    return '/Library/Application Support/ClaudeCode/managed-settings.json';
+  }
+  if (os === 'win32') {
+    return 'C:\\Program Files\\ClaudeCode\\managed-settings.json';
+  }
+  return '/etc/claude-code/managed-settings.json';
+}
+
+// Work out which scope a settings file belongs to from its location
+export function scopeOf(file) {
+  const path = resolve(file);
+
+  if (path === resolve(managedSettingsPath())) {
+    return 'managed';
+  }
+  if (path === userSettingsPath()) {
+    return 'user';
+  }
+  return basename(path) === 'settings.local.json' ? 'local' : 'project';
+}
+
+// Pick the scope that takes precedence among the given ones
+export function winningScope(scopes) {
+  return SCOPES.find(scope => scopes.includes(scope));
+}
+
+export async function fileExists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Every settings file that applies to a project, highest precedence first
+export function projectSettingsLayers(projectDir) {
+  return [
+    { scope: 'managed', file: managedSettingsPath() },
+    { scope: 'local', file: join(projectDir, '.claude', 'settings.local.json') },
+    { scope: 'project', file: join(projectDir, '.claude', 'settings.json') },
+    { scope: 'user', file: userSettingsPath() },
+  ];
+}
+
+// Settings files outside the scanned directory: user-global and managed policy.
+// Only files that exist are returned.
+export async function findScopeSettingsFiles({ user = false, managed = false } = {}) {
+  const candidates = [];
+  if (managed) candidates.push(managedSettingsPath());
+  if (user) candidates.push(userSettingsPath());
+
+  const files = [];
+  for (const file of candidates) {
+    if (await fileExists(file)) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+// For every flagged permission, list the scopes that allow it and which one wins
+export function resolveScopes(findings) {
+  const byPermission = new Map();
+
+  for (const { scope, issues } of findings) {
+    for (const { permission } of issues) {
+      const scopes = byPermission.get(permission) || [];
+      if (!scopes.includes(scope)) {
+        scopes.push(scope);
+      }
+      byPermission.set(permission, scopes);
+    }
+  }
+
+  return [...byPermission].map(([permission, scopes]) => ({
+    permission,
+    scopes: SCOPES.filter(scope => scopes.includes(scope)),
+    winner: winningScope(scopes),
+  }));
+}
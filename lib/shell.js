@@ -0,0 +1,424 @@
+// Shell command parser for Bash permission specifiers. It understands enough
+// of the shell grammar to split a command line into the simple commands it
+// would run: pipelines, && / || / ; chains, subshells and groups, $(...) and
+// backtick substitutions, quoting and heredocs. Text that is only data, like
+// quoted arguments and heredoc bodies, never turns into a command.
+
+// Longest first, so "&&" wins over "&" and "<<-" over "<<"
+const OPERATORS = [
+  '&>>', '<<<', '<<-',
+  '&&', '||', ';;', '|&', '&>', '<<', '<>', '<&', '>>', '>&', '>|',
+  ';', '&', '|', '(', ')', '<', '>',
+];
+
+const REDIRECTS = ['<', '>', '>>', '>|', '<>', '<&', '>&', '&>', '&>>', '<<', '<<-', '<<<'];
+
+// Reserved words that can precede a command without being one
+const KEYWORDS = ['!', '{', '}', 'if', 'then', 'elif', 'else', 'fi', 'while', 'until', 'do', 'done', 'esac'];
+
+// Index of the ")" closing a "(" that ends right before start, or the end of
+// the input if it is unbalanced. Quotes and nested parentheses are skipped.
+function closingParen(input, start) {
+  let depth = 1;
+  for (let i = start; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === "'") {
+      const end = input.indexOf("'", i + 1);
+      i = end === -1 ? input.length : end;
+    } else if (char === '"') {
+      for (i++; i < input.length && input[i] !== '"'; i++) {
+        if (input[i] === '\\') {
+          i++;
+        } else if (input[i] === '$' && input[i + 1] === '(') {
+          i = closingParen(input, i + 2);
+        }
+      }
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  return input.length;
+}
+
+function closingBacktick(input, start) {
+  for (let i = start; i < input.length; i++) {
+    if (input[i] === '\\') {
+      i++;
+    } else if (input[i] === '`') {
+      return i;
+    }
+  }
+  return input.length;
+}
+
+function closingBrace(input, start) {
+  const end = input.indexOf('}', start);
+  return end === -1 ? input.length : end;
+}
+
+// Command substitutions in text that undergoes expansion, like an unquoted heredoc body
+function substitutionsIn(text) {
+  const found = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '$' && text[i + 1] === '(') {
+      const end = closingParen(text, i + 2);
+      if (text[i + 2] !== '(') {
+        found.push(text.slice(i + 2, end));
+      }
+      i = end;
+    } else if (text[i] === '`') {
+      const end = closingBacktick(text, i + 1);
+      found.push(text.slice(i + 1, end));
+      i = end;
+    }
+  }
+  return found;
+}
+
+function matchOperator(input, index) {
+  return OPERATORS.find(op => input.startsWith(op, index));
+}
+
+// Split a command line into words and operators. Words carry their value with
+// quotes removed, whether any part was quoted, the unquoted parts of their
+// source (where globs and expansions take effect), and the source of the
+// command substitutions they contain. Newlines become ";" operators.
+export function tokenize(input) {
+  const tokens = [];
+  // Heredocs whose body starts at the next newline
+  const heredocs = [];
+  let word = null;
+  let i = 0;
+
+  const startWord = () => {
+    word ??= { type: 'word', value: '', quoted: false, unquoted: '', substitutions: [] };
+  };
+
+  const endWord = () => {
+    if (!word) {
+      return;
+    }
+    const previous = tokens[tokens.length - 1];
+    if (previous?.type === 'op' && (previous.value === '<<' || previous.value === '<<-')) {
+      heredocs.push({ token: word, stripTabs: previous.value === '<<-' });
+    }
+    tokens.push(word);
+    word = null;
+  };
+
+  // Append a $(...), `...` or <(...) substitution starting at i to the current word
+  const substitution = (bodyStart, close) => {
+    startWord();
+    const end = close(input, bodyStart);
+    const body = input.slice(bodyStart, end);
+    // $((...)) is arithmetic, not a command
+    if (!(input[bodyStart - 1] === '(' && body.startsWith('('))) {
+      word.substitutions.push(body);
+    }
+    word.value += input.slice(i, end + 1);
+    i = end + 1;
+  };
+
+  const readHeredocBodies = () => {
+    for (const { token, stripTabs } of heredocs.splice(0)) {
+      while (i < input.length) {
+        const newline = input.indexOf('\n', i);
+        const end = newline === -1 ? input.length : newline;
+        const line = input.slice(i, end);
+        i = end + 1;
+        if ((stripTabs ? line.replace(/^\t+/, '') : line) === token.value) {
+          break;
+        }
+        // Unquoted delimiters mean the body is expanded, substitutions included
+        if (!token.quoted) {
+          token.substitutions.push(...substitutionsIn(line));
+        }
+      }
+    }
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (char === ' ' || char === '\t') {
+      endWord();
+      i++;
+    } else if (char === '\n') {
+      endWord();
+      tokens.push({ type: 'op', value: ';' });
+      i++;
+      readHeredocBodies();
+    } else if (char === '#' && !word) {
+      const newline = input.indexOf('\n', i);
+      i = newline === -1 ? input.length : newline;
+    } else if (char === '\\') {
+      if (input[i + 1] !== '\n') {
+        startWord();
+        word.value += input[i + 1] ?? '';
+        word.quoted = true;
+      }
+      i += 2;
+    } else if (char === "'") {
+      startWord();
+      const end = input.indexOf("'", i + 1);
+      const stop = end === -1 ? input.length : end;
+      word.value += input.slice(i + 1, stop);
+      word.quoted = true;
+      i = stop + 1;
+    } else if (char === '$' && input[i + 1] === "'") {
+      // ANSI-C quoting: $'...' with backslash escapes
+      startWord();
+      word.quoted = true;
+      for (i += 2; i < input.length && input[i] !== "'"; i++) {
+        if (input[i] === '\\') {
+          i++;
+        }
+        word.value += input[i] ?? '';
+      }
+      i++;
+    } else if (char === '"') {
+      startWord();
+      word.quoted = true;
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && '$`"\\\n'.includes(input[i + 1])) {
+          word.value += input[i + 1] === '\n' ? '' : input[i + 1];
+          i += 2;
+        } else if (input[i] === '$' && input[i + 1] === '(') {
+          substitution(i + 2, closingParen);
+        } else if (input[i] === '`') {
+          substitution(i + 1, closingBacktick);
+        } else if (input[i] === '$' && input[i + 1] === '{') {
+          const end = closingBrace(input, i + 2);
+          word.value += input.slice(i, end + 1);
+          i = end + 1;
+        } else {
+          word.value += input[i];
+          i++;
+        }
+      }
+      i++;
+    } else if (char === '$' && input[i + 1] === '(') {
+      const start = i;
+      substitution(i + 2, closingParen);
+      word.unquoted += input.slice(start, i);
+    } else if (char === '`') {
+      const start = i;
+      substitution(i + 1, closingBacktick);
+      word.unquoted += input.slice(start, i);
+    } else if (char === '$' && input[i + 1] === '{') {
+      startWord();
+      const end = closingBrace(input, i + 2);
+      word.value += input.slice(i, end + 1);
+      word.unquoted += input.slice(i, end + 1);
+      i = end + 1;
+    } else if ((char === '<' || char === '>') && input[i + 1] === '(' && !word) {
+      // Process substitution: <(...) and >(...)
+      substitution(i + 2, closingParen);
+    } else {
+      const op = matchOperator(input, i);
+      if (!op) {
+        startWord();
+        word.value += char;
+        word.unquoted += char;
+        i++;
+        continue;
+      }
+      // A number right before a redirection is a file descriptor, as in 2>&1
+      if (REDIRECTS.includes(op) && word && !word.quoted && /^\d+$/.test(word.value)) {
+        word = null;
+      }
+      endWord();
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+    }
+  }
+
+  endWord();
+  return tokens;
+}
+
+function commandName(argv) {
+  return argv.length > 0 ? argv[0].split('/').pop() : '';
+}
+
+// `unquoted` has the unquoted source of each argv word; without it, words
+// are taken to be unquoted as they are
+function simpleCommand(argv, fields = {}) {
+  return { argv, name: commandName(argv), args: argv.slice(1), unquoted: argv, redirects: [], assignments: [], ...fields };
+}
+
+// Parse a command line into the simple commands it runs, in source order,
+// including the ones inside command substitutions. Each command is
+// { argv, name, args, unquoted, redirects, assignments, pipeline, position },
+// where unquoted has the unquoted source of each argv word, pipeline lists
+// every command of the pipeline it belongs to and position is its index
+// there. Malformed input is parsed as far as it makes sense rather than
+// rejected, since permission rules are often prefixes of real commands.
+export function parseShell(input) {
+  const commands = [];
+  const nested = [];
+  let pipeline = [];
+  let current = simpleCommand([], { unquoted: [] });
+  let redirect = null;
+
+  const finishCommand = () => {
+    if (current.argv.length > 0 || current.redirects.length > 0) {
+      const command = simpleCommand(current.argv, {
+        unquoted: current.unquoted,
+        redirects: current.redirects,
+        assignments: current.assignments,
+      });
+      pipeline.push(command);
+    }
+    current = simpleCommand([], { unquoted: [] });
+    redirect = null;
+  };
+
+  const finishPipeline = () => {
+    finishCommand();
+    const members = pipeline;
+    members.forEach((command, position) => {
+      command.pipeline = members;
+      command.position = position;
+      commands.push(command);
+    });
+    pipeline = [];
+  };
+
+  for (const token of tokenize(input)) {
+    if (token.type === 'word') {
+      nested.push(...token.substitutions);
+      if (redirect) {
+        current.redirects.push({ op: redirect, target: token.value });
+        redirect = null;
+      } else if (current.argv.length === 0 && !token.quoted && KEYWORDS.includes(token.value)) {
+        continue;
+      } else if (current.argv.length === 0 && !token.quoted && /^[A-Za-z_]\w*=/.test(token.value)) {
+        current.assignments.push(token.value);
+      } else {
+        current.argv.push(token.value);
+        current.unquoted.push(token.unquoted);
+      }
+    } else if (REDIRECTS.includes(token.value)) {
+      redirect = token.value;
+    } else if (token.value === '|' || token.value === '|&') {
+      finishCommand();
+    } else {
+      // Lists, subshells and groups: every other operator ends the pipeline
+      finishPipeline();
+    }
+  }
+  finishPipeline();
+
+  for (const source of nested) {
+    commands.push(...parseShell(source));
+  }
+  return commands;
+}
+
+// Commands that run their operands as another command, with the options
+// that take a value (and so must be skipped along with it)
+const WRAPPERS = {
+  sudo: { valueOptions: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-T', '-U', '--user', '--group', '--host', '--prompt', '--chdir'] },
+  doas: { valueOptions: ['-u', '-C'] },
+  env: { valueOptions: ['-u', '-C', '--unset', '--chdir'], assignments: true },
+  nice: { valueOptions: ['-n', '--adjustment'] },
+  nohup: {},
+  time: { valueOptions: ['-f', '-o', '--format', '--output'] },
+  timeout: { valueOptions: ['-s', '-k', '--signal', '--kill-after'], operands: 1 },
+  watch: { valueOptions: ['-n', '--interval'] },
+  xargs: { valueOptions: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s', '--arg-file', '--delimiter', '--max-args', '--max-procs'] },
+  exec: { valueOptions: ['-a'] },
+  command: {},
+  builtin: {},
+};
+
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh'];
+
+// Check if a command name is a wrapper like sudo or timeout
+export function isWrapper(name) {
+  return Object.hasOwn(WRAPPERS, name);
+}
+
+// Operands of a wrapper: what is left after its options, assignments and
+// leading operands (like the duration of timeout)
+function wrappedArgv(args, { valueOptions = [], assignments = false, operands = 0 }) {
+  let index = 0;
+  while (index < args.length) {
+    const arg = args[index];
+    if (arg === '--') {
+      index++;
+      break;
+    }
+    if (valueOptions.includes(arg)) {
+      index += 2;
+    } else if ((arg.startsWith('-') && arg !== '-') || (assignments && /^[A-Za-z_]\w*=/.test(arg))) {
+      index++;
+    } else {
+      break;
+    }
+  }
+  return args.slice(index + operands);
+}
+
+// Commands run on behalf of another command: the command after a wrapper like
+// sudo or timeout, the script of `bash -c`, the arguments of eval, keys sent
+// with `tmux send-keys`, and `find -exec` commands. Commands derived from
+// argv keep the redirects and pipeline position of the outer command.
+export function innerCommands(command) {
+  const { name, args } = command;
+  // argv is a slice of the outer argv that begins at index start
+  const derived = (argv, start) => simpleCommand(argv, {
+    unquoted: command.unquoted.slice(start, start + argv.length),
+    redirects: command.redirects,
+    pipeline: command.pipeline,
+    position: command.position,
+  });
+
+  if (isWrapper(name)) {
+    const argv = wrappedArgv(args, WRAPPERS[name]);
+    return argv.length > 0 ? [derived(argv, command.argv.length - argv.length)] : [];
+  }
+
+  if (SHELLS.includes(name)) {
+    const index = args.findIndex(arg => /^-[a-z]*c[a-z]*$/.test(arg));
+    return index !== -1 && index + 1 < args.length ? parseShell(args[index + 1]) : [];
+  }
+
+  if (name === 'eval') {
+    return parseShell(args.join(' '));
+  }
+
+  if (name === 'tmux' && (args[0] === 'send-keys' || args[0] === 'send')) {
+    const keys = [];
+    for (let index = 1; index < args.length; index++) {
+      if (args[index] === '-t' || args[index] === '-N') {
+        index++;
+      } else if (!args[index].startsWith('-')) {
+        keys.push(args[index]);
+      }
+    }
+    return keys.flatMap(key => parseShell(key));
+  }
+
+  if (name === 'find') {
+    const found = [];
+    args.forEach((arg, index) => {
+      if (['-exec', '-execdir', '-ok', '-okdir'].includes(arg)) {
+        const rest = args.slice(index + 1);
+        const end = rest.findIndex(part => part === ';' || part === '+');
+        found.push(derived(end === -1 ? rest : rest.slice(0, end), index + 2));
+      }
+    });
+    return found.filter(({ argv }) => argv.length > 0);
+  }
+
+  return [];
+}
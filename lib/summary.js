@@ -0,0 +1,86 @@
+import { basename, dirname } from 'node:path';
+
+// Risk scores for scans across many projects: a weighted score per settings
+// file and per project, and how widely each rule is hit, so the worst
+// offenders and the most common habits stand out.
+
+// What one finding adds to a score, by severity
+export const RISK_WEIGHTS = { HIGH: 10, MEDIUM: 3, LOW: 1 };
+
+// The project a settings file belongs to: the directory holding its .claude
+// directory or .mcp.json. User and managed settings belong to no project.
+export function projectOf(file, scope) {
+  if (scope === 'user' || scope === 'managed') {
+    return null;
+  }
+  const dir = dirname(file);
+  return basename(dir) === '.claude' ? dirname(dir) : dir;
+}
+
+function emptyCounts() {
+  return { score: 0, high: 0, medium: 0, low: 0, errors: 0 };
+}
+
+function addIssue(counts, { severity }) {
+  counts.score += RISK_WEIGHTS[severity] ?? 0;
+  counts[severity.toLowerCase()]++;
+}
+
+// Worst first; ties in alphabetical order of key
+function byScore(key) {
+  return (a, b) => b.score - a.score || a[key].localeCompare(b[key]);
+}
+
+// Scores and rule totals for a set of findings. Returns { files, projects, rules }:
+// files and projects as { file | project, score, high, medium, low, errors },
+// worst first, and rules as { id, name, severity, findings, projects } (the
+// number of distinct projects hitting the rule, with user and managed
+// settings counting as one each), most widespread first. severity is the
+// highest one the rule was reported with.
+export function riskSummary(findings) {
+  const files = [];
+  const projects = new Map();
+  const rules = new Map();
+
+  for (const { file, scope, issues, errors = [] } of findings) {
+    const project = projectOf(file, scope);
+    const fileCounts = { file, scope, project, ...emptyCounts() };
+    const projectCounts = project === null ? null : projects.get(project) ?? { project, files: 0, ...emptyCounts() };
+
+    for (const issue of issues) {
+      addIssue(fileCounts, issue);
+      if (projectCounts) {
+        addIssue(projectCounts, issue);
+      }
+
+      const rule = rules.get(issue.id) ?? { id: issue.id, name: issue.name, severity: issue.severity, findings: 0, projects: new Set() };
+      if (RISK_WEIGHTS[issue.severity] > RISK_WEIGHTS[rule.severity]) {
+        rule.severity = issue.severity;
+      }
+      rule.findings++;
+      rule.projects.add(project ?? file);
+      rules.set(issue.id, rule);
+    }
+
+    fileCounts.errors = errors.length;
+    files.push(fileCounts);
+    if (projectCounts) {
+      projectCounts.files++;
+      projectCounts.errors += errors.length;
+      projects.set(project, projectCounts);
+    }
+  }
+
+  return {
+    files: files.sort(byScore('file')),
+    projects: [...projects.values()].sort(byScore('project')),
+    rules: [...rules.values()]
+      .map(rule => ({ ...rule, projects: rule.projects.size }))
+      .sort((a, b) =>
+        b.projects - a.projects ||
+        b.findings - a.findings ||
+        RISK_WEIGHTS[b.severity] - RISK_WEIGHTS[a.severity] ||
+        a.name.localeCompare(b.name)
+      ),
+  };
+}
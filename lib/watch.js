@@ -0,0 +1,166 @@
+import { watch } from 'node:fs';
+import { basename, dirname } from 'node:path';
+import { fingerprint, fingerprintKey } from './baseline.js';
+import { scan } from './scan.js';
+
+// Re-scan settings whenever they change and report what's new since the last
+// scan. Claude Code appends to settings.local.json on every "always allow", so
+// a one-off scan goes stale quickly.
+
+// Wait this long after a change before scanning, so a burst of writes to the
+// same file (or an editor's save dance) leads to a single scan
+const SETTLE_DELAY = 100;
+
+// Names worth reacting to in each watched directory: the settings files
+// themselves, and .claude or .mcp.json appearing next to them
+const PROJECT_NAMES = ['.claude', '.mcp.json'];
+
+function errorKey(file, { type, message }) {
+  return JSON.stringify([file, type, message]);
+}
+
+// Keys for every issue and error in a scan, independent of line numbers
+export function findingKeys(root, findings) {
+  const keys = new Set();
+  for (const { file, issues, errors = [] } of findings) {
+    for (const issue of issues) {
+      keys.add(fingerprintKey(fingerprint(root, file, issue)));
+    }
+    for (const error of errors) {
+      keys.add(errorKey(file, error));
+    }
+  }
+  return keys;
+}
+
+// Leave out issues and errors whose keys are in `seen`, and then findings that
+// have nothing left. An issue that is removed and added again counts as new.
+export function newFindings(root, findings, seen) {
+  return findings
+    .map(finding => ({
+      ...finding,
+      issues: finding.issues.filter(issue => !seen.has(fingerprintKey(fingerprint(root, finding.file, issue)))),
+      errors: (finding.errors ?? []).filter(error => !seen.has(errorKey(finding.file, error))),
+    }))
+    .filter(({ issues, errors }) => issues.length > 0 || errors.length > 0);
+}
+
+// Directories to watch for a set of settings files, each with the entry names
+// that should trigger a scan
+export function watchTargets(root, files) {
+  const targets = new Map();
+  const add = (dir, names) => {
+    const existing = targets.get(dir) ?? new Set();
+    names.forEach(name => existing.add(name));
+    targets.set(dir, existing);
+  };
+
+  add(root, PROJECT_NAMES);
+  for (const file of files) {
+    add(dirname(file), [basename(file)]);
+    if (basename(dirname(file)) === '.claude') {
+      add(dirname(dirname(file)), PROJECT_NAMES);
+    }
+  }
+  return targets;
+}
+
+// Scan once, then again whenever a watched settings file changes and every
+// `interval` milliseconds to discover settings in new projects. Takes the same
+// options as scan(). After every scan but the first, onChange receives
+// { time, files, findings }, where findings only has issues and errors that
+// weren't in the previous scan; scan failures go to onError. Returns the first
+// scan's result and a close() that stops watching.
+export async function watchSettings({ root = '.', scopes = [], minSeverity = 'LOW', config, rules, projectConfigs = config === undefined, interval = 10000 } = {}, {
+  onChange = () => {},
+  onError = () => {},
+} = {}) {
+  const initial = await scan({ root, scopes, minSeverity, config, rules, projectConfigs });
+  // Config files are read again on every scan, so edits to them apply from the next one
+  const options = { root: initial.root, scopes, minSeverity, config, rules, projectConfigs };
+
+  const watchers = new Map();
+  let seen = findingKeys(initial.root, initial.findings);
+  let closed = false;
+  let settleTimer = null;
+  let queue = Promise.resolve();
+
+  const unwatch = (dir) => {
+    watchers.get(dir)?.watcher.close();
+    watchers.delete(dir);
+  };
+
+  // Follow the current set of files: start watching new directories, update
+  // the names of interest in known ones and drop directories that are gone
+  const updateWatchers = (files) => {
+    const targets = watchTargets(initial.root, files);
+    for (const dir of watchers.keys()) {
+      if (!targets.has(dir)) {
+        unwatch(dir);
+      }
+    }
+    for (const [dir, names] of targets) {
+      const existing = watchers.get(dir);
+      if (existing) {
+        existing.names = names;
+        continue;
+      }
+      try {
+        const entry = { names, watcher: null };
+        // Some platforms don't report the file name; scan anyway then
+        entry.watcher = watch(dir, (event, name) => {
+          if (!name || entry.names.has(String(name))) {
+            schedule();
+          }
+        });
+        entry.watcher.on('error', () => unwatch(dir));
+        watchers.set(dir, entry);
+      } catch {
+        // Removed since the scan; the next scan will notice
+      }
+    }
+  };
+
+  const rescan = async () => {
+    if (closed) {
+      return;
+    }
+    try {
+      const { files, findings } = await scan(options);
+      if (closed) {
+        return;
+      }
+      updateWatchers(files);
+      const fresh = newFindings(initial.root, findings, seen);
+      seen = findingKeys(initial.root, findings);
+      if (fresh.length > 0) {
+        await onChange({ time: new Date(), files, findings: fresh });
+      }
+    } catch (err) {
+      await onError(err);
+    }
+  };
+
+  // Scans run one at a time, in order
+  function schedule() {
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(() => {
+      queue = queue.then(rescan);
+    }, SETTLE_DELAY);
+  }
+
+  updateWatchers(initial.files);
+  const pollTimer = setInterval(schedule, interval);
+
+  return {
+    ...initial,
+    close() {
+      closed = true;
+      clearTimeout(settleTimer);
+      clearInterval(pollTimer);
+      for (const dir of [...watchers.keys()]) {
+        unwatch(dir);
+      }
+    },
+  };
+}
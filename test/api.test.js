@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { scan, analyzeSettings, checkPermission, formatSarif } from '../index.js';
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+describe('api - scan', () => {
+  test('returns the scanned files and their findings', async () => {
+    const { files, findings } = await scan({ root: fixture('risky') });
+    assert.strictEqual(files.length, 1);
+    assert.strictEqual(findings[0].scope, 'project');
+    assert.deepStrictEqual(findings[0].issues.map(({ permission }) => permission), ['Bash(rm -rf:*)', 'Bash(git push)']);
+  });
+
+  test('leaves out issues below the minimum severity', async () => {
+    const { findings } = await scan({ root: fixture('risky'), minSeverity: 'HIGH' });
+    assert.deepStrictEqual(findings[0].issues.map(({ severity }) => severity), ['HIGH']);
+  });
+
+  test('uses the nearest config file unless config is false', async () => {
+    const configured = await scan({ root: fixture('configured') });
+    assert.strictEqual(configured.files.length, 1);
+    assert.ok(configured.findings[0].issues.some(({ id }) => id === 'terraform-apply'));
+
+    const unconfigured = await scan({ root: fixture('configured'), config: false });
+    assert.strictEqual(unconfigured.files.length, 2);
+    assert.ok(!unconfigured.findings.some(({ issues }) => issues.some(({ id }) => id === 'terraform-apply')));
+  });
+
+  test('lets configs of projects below root add checks but not hide findings', async () => {
+    const root = await mkdtemp(join(tmpdir(), 'cc-safe-projects-'));
+    const project = async (name, config) => {
+      await mkdir(join(root, name, '.claude'), { recursive: true });
+      await writeFile(join(root, name, '.claude', 'settings.json'), JSON.stringify({ permissions: { allow: ['Bash(rm -rf:*)', 'Bash(terraform apply)'] } }));
+      if (config) {
+        await writeFile(join(root, name, '.cc-safe.json'), JSON.stringify(config));
+      }
+    };
+    await project('plain');
+    await project('tuned', { disable: ['rm-force'], rules: [{ name: 'terraform apply', pattern: 'terraform apply', severity: 'HIGH' }] });
+    await project('hiding', { ignore: ['**'], severities: { 'rm-force': 'LOW' } });
+
+    const ids = ({ findings }) => Object.fromEntries(findings.map(({ file, issues }) => [file.slice(root.length + 1), issues.map(({ id, severity }) => `${id} ${severity}`)]));
+    const result = await scan({ root });
+    assert.deepStrictEqual(ids(result), {
+      'hiding/.claude/settings.json': ['rm-force HIGH'],
+      'plain/.claude/settings.json': ['rm-force HIGH'],
+      'tuned/.claude/settings.json': ['rm-force HIGH', 'custom-terraform-apply HIGH'],
+    });
+    assert.strictEqual(result.files.length, 3);
+    assert.deepStrictEqual(result.configFiles, [join(root, 'hiding', '.cc-safe.json'), join(root, 'tuned', '.cc-safe.json')]);
+
+    // Custom rules of project configs are declared in SARIF too
+    const sarif = JSON.parse(formatSarif({ root, findings: result.findings }));
+    assert.ok(sarif.runs[0].tool.driver.rules.some(({ id }) => id === 'custom-terraform-apply'));
+
+    // An explicit config applies everywhere
+    assert.strictEqual((await scan({ root, config: false })).findings.length, 3);
+    await rm(root, { recursive: true });
+  });
+
+  test('adds custom rules to the config', async () => {
+    const rules = [{ name: 'npm test', pattern: 'npm test', severity: 'low' }];
+    const { findings } = await scan({ root: fixture('risky'), rules });
+    assert.ok(findings[0].issues.some(({ id }) => id === 'custom-npm-test'));
+  });
+
+  test('returns settings errors instead of throwing', async () => {
+    const { findings } = await scan({ root: fixture('malformed') });
+    assert.strictEqual(findings[0].errors[0].type, 'parse');
+  });
+
+  test('rejects unknown scopes and severities', async () => {
+    await assert.rejects(scan({ root: fixture('risky'), scopes: ['project'] }), /scope/);
+    await assert.rejects(scan({ root: fixture('risky'), minSeverity: 'CRITICAL' }), /severity/);
+  });
+});
+
+describe('api - analyzeSettings', () => {
+  test('analyzes a settings object', () => {
+    const { issues, errors } = analyzeSettings({ permissions: { allow: ['Bash(sudo:*)'] } });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(issues[0].path, 'permissions.allow[0]');
+  });
+
+  test('points issues in JSON text at their line and column', () => {
+    const { issues } = analyzeSettings('{\n  "permissions": { "allow": ["Bash"] }\n}');
+    assert.deepStrictEqual(issues[0].location, { start: 31, end: 37, line: 2, column: 30, endLine: 2, endColumn: 36 });
+  });
+
+  test('returns parse errors for invalid JSON text', () => {
+    const { issues, errors } = analyzeSettings('{ "permissions": ');
+    assert.deepStrictEqual(issues, []);
+    assert.strictEqual(errors[0].type, 'parse');
+  });
+});
+
+describe('api - checkPermission', () => {
+  test('checks a permission with the built-in rules', () => {
+    assert.strictEqual(checkPermission('Bash(rm -rf:*)')[0].severity, 'HIGH');
+    assert.deepStrictEqual(checkPermission('Bash(npm test)'), []);
+  });
+
+  test('applies a raw config and extra rules', () => {
+    assert.strictEqual(checkPermission('Bash(git push)', { config: { severities: { 'git push': 'LOW' } } })[0].severity, 'LOW');
+    const rules = [{ id: 'deploy', name: 'deploy', pattern: /deploy/, severity: 'MEDIUM' }];
+    assert.deepStrictEqual(checkPermission('Bash(make deploy)', { rules }).map(({ id }) => id), ['deploy']);
+  });
+});
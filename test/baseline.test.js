@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { fingerprint, readBaseline, writeBaseline, addToBaseline, applyBaseline } from '../lib/baseline.js';
+
+describe('fingerprint', () => {
+  test('uses the path relative to the scan root, rule name and permission', () => {
+    const issue = { name: 'git push', permission: 'Bash(git push)', severity: 'LOW', location: { line: 4 } };
+    assert.deepStrictEqual(fingerprint('/work', '/work/app/.claude/settings.json', issue), {
+      file: 'app/.claude/settings.json',
+      rule: 'git push',
+      permission: 'Bash(git push)',
+    });
+  });
+});
+
+describe('baseline files', () => {
+  test('a missing baseline is empty', async () => {
+    assert.deepStrictEqual(await readBaseline('/nonexistent/.cc-safe-baseline.json'), []);
+  });
+
+  test('writes sorted, unique entries and merges additions', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-baseline-'));
+    const path = join(dir, 'baseline.json');
+    const push = { file: 'b/.claude/settings.json', rule: 'git push', permission: 'Bash(git push)' };
+    const eval_ = { file: 'a/.claude/settings.json', rule: 'eval', permission: 'Bash(eval x)' };
+
+    await writeBaseline(path, [push, push]);
+    await addToBaseline(path, [eval_, push]);
+
+    const saved = JSON.parse(await readFile(path, 'utf-8'));
+    assert.strictEqual(saved.version, 1);
+    assert.deepStrictEqual(saved.findings, [eval_, push]);
+    await rm(dir, { recursive: true });
+  });
+
+  test('rejects files without a findings array', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-baseline-'));
+    const path = join(dir, 'baseline.json');
+    await writeFile(path, '{"version": 1}');
+    await assert.rejects(readBaseline(path), /findings/);
+    await rm(dir, { recursive: true });
+  });
+});
+
+describe('applyBaseline', () => {
+  const findings = [
+    {
+      file: '/work/app/.claude/settings.json',
+      issues: [
+        { name: 'git push', permission: 'Bash(git push)', severity: 'LOW' },
+        { name: 'rm -rf', permission: 'Bash(rm -rf:*)', severity: 'HIGH' },
+      ],
+      errors: [],
+    },
+    {
+      file: '/work/lib/.claude/settings.json',
+      issues: [{ name: 'git push', permission: 'Bash(git push)', severity: 'LOW' }],
+      errors: [],
+    },
+  ];
+
+  test('suppresses baselined findings and drops files left empty', () => {
+    const entries = [
+      { file: 'app/.claude/settings.json', rule: 'git push', permission: 'Bash(git push)' },
+      { file: 'lib/.claude/settings.json', rule: 'git push', permission: 'Bash(git push)' },
+    ];
+    const result = applyBaseline(findings, entries, '/work');
+    assert.strictEqual(result.suppressed, 2);
+    assert.strictEqual(result.findings.length, 1);
+    assert.deepStrictEqual(result.findings[0].issues.map(i => i.name), ['rm -rf']);
+    assert.deepStrictEqual(result.stale, []);
+  });
+
+  test('matches on file as well as rule and permission', () => {
+    const entries = [{ file: 'other/.claude/settings.json', rule: 'git push', permission: 'Bash(git push)' }];
+    const result = applyBaseline(findings, entries, '/work');
+    assert.strictEqual(result.suppressed, 0);
+    assert.deepStrictEqual(result.stale, entries);
+  });
+
+  test('keeps files that only have errors', () => {
+    const broken = [{ file: '/work/x/.claude/settings.json', issues: [], errors: [{ type: 'parse', message: 'bad' }] }];
+    assert.strictEqual(applyBaseline(broken, [], '/work').findings.length, 1);
+  });
+});
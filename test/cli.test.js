@@ -0,0 +1,580 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { spawn, spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, mkdir, cp, readFile, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+const CLI = fileURLToPath(new URL('../bin/cc-safe.js', import.meta.url));
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function run(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf-8' });
+}
+
+function runWithEnv(env, ...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf-8', env: { ...process.env, ...env } });
+}
+
+describe('cli - exit codes', () => {
+  test('exits 0 when no dangerous patterns are found', () => {
+    const result = run(fixture('clean'));
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /No dangerous patterns found/);
+  });
+
+  test('exits 1 when findings are present', () => {
+    const result = run(fixture('risky'));
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /\[HIGH\] rm -rf/);
+  });
+
+  test('exits 0 with --help', () => {
+    const result = run('--help');
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /EXIT CODES/);
+  });
+
+  test('exits 2 for a missing directory', () => {
+    const result = run(fixture('does-not-exist'));
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Directory not found/);
+  });
+
+  test('exits 2 for an unknown option', () => {
+    const result = run(fixture('clean'), '--bogus');
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Error:/);
+  });
+
+  test('exits 2 for an unknown format', () => {
+    const result = run(fixture('clean'), '--format', 'xml');
+    assert.strictEqual(result.status, 2);
+  });
+});
+
+describe('cli - --fail-on', () => {
+  test('LOW findings fail by default', () => {
+    assert.strictEqual(run(fixture('low-only')).status, 1);
+  });
+
+  test('findings below the threshold exit 0', () => {
+    assert.strictEqual(run(fixture('low-only'), '--fail-on', 'HIGH').status, 0);
+    assert.strictEqual(run(fixture('low-only'), '--fail-on', 'medium').status, 0);
+  });
+
+  test('findings at the threshold exit 1', () => {
+    assert.strictEqual(run(fixture('risky'), '--fail-on', 'HIGH').status, 1);
+  });
+
+  test('hidden LOW findings do not fail the scan', () => {
+    assert.strictEqual(run(fixture('low-only'), '--no-low').status, 0);
+  });
+
+  test('rejects an unknown severity', () => {
+    const result = run(fixture('risky'), '--fail-on', 'CRITICAL');
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /--fail-on/);
+  });
+
+  test('is respected by json output', () => {
+    const failing = run(fixture('risky'), '--format', 'json', '--fail-on', 'HIGH');
+    assert.strictEqual(failing.status, 1);
+    assert.strictEqual(JSON.parse(failing.stdout).summary.high, 1);
+    assert.strictEqual(run(fixture('low-only'), '--format', 'json', '--fail-on', 'MEDIUM').status, 0);
+  });
+
+  test('is respected by sarif output', () => {
+    const failing = run(fixture('risky'), '--format', 'sarif', '--fail-on', 'HIGH');
+    assert.strictEqual(failing.status, 1);
+    assert.strictEqual(JSON.parse(failing.stdout).runs[0].results.length, 2);
+    assert.strictEqual(run(fixture('low-only'), '--format', 'sarif', '--fail-on', 'MEDIUM').status, 0);
+  });
+});
+
+describe('cli - settings file errors', () => {
+  test('reports parse errors with line and column', () => {
+    const result = run(fixture('malformed'));
+    assert.match(result.stdout, /\[ERROR\] parse: .* at line 5 column 5/);
+    assert.strictEqual(result.status, 0);
+  });
+
+  test('reports unexpected shapes and still checks valid entries', () => {
+    const result = run(fixture('bad-shape'), '--format', 'json');
+    const report = JSON.parse(result.stdout);
+    const errors = report.findings.flatMap(f => f.errors);
+    assert.deepStrictEqual(errors.map(e => e.path).sort(), ['permissions.allow', 'permissions.allow[1]', 'permissions.allow[2]']);
+    assert.strictEqual(report.summary.high, 1);
+    assert.strictEqual(result.status, 1);
+  });
+
+  test('--strict exits 2 when a settings file has errors', () => {
+    const result = run(fixture('malformed'), '--strict');
+    assert.strictEqual(result.status, 2);
+  });
+
+  test('--strict does not affect clean files', () => {
+    assert.strictEqual(run(fixture('clean'), '--strict').status, 0);
+  });
+});
+
+describe('cli - scopes', () => {
+  const env = { CLAUDE_CONFIG_DIR: fixture('user-config') };
+
+  test('does not scan user settings by default', () => {
+    const report = JSON.parse(runWithEnv(env, fixture('low-only'), '--format', 'json').stdout);
+    assert.deepStrictEqual(report.findings.map(f => f.scope), ['local']);
+  });
+
+  test('--user adds the user-global settings file', () => {
+    const report = JSON.parse(runWithEnv(env, fixture('low-only'), '--user', '--format', 'json').stdout);
+    assert.deepStrictEqual(report.findings.map(f => f.scope).sort(), ['local', 'user']);
+    assert.strictEqual(report.summary.high, 1);
+  });
+
+  test('--all-scopes includes user settings too', () => {
+    const report = JSON.parse(runWithEnv(env, fixture('low-only'), '--all-scopes', '--format', 'json').stdout);
+    assert.ok(report.findings.some(f => f.scope === 'user'));
+  });
+
+  test('reports which scope wins for permissions in several scopes', () => {
+    const result = runWithEnv(env, fixture('low-only'), '--user');
+    assert.match(result.stdout, /\[user\]/);
+    assert.match(result.stdout, /"Bash\(git push\)" is allowed in local, user - local wins/);
+  });
+});
+
+describe('cli - deny and ask lists', () => {
+  test('reports neutralized, shadowed and ineffective rules', () => {
+    const result = run(fixture('deny-ask'));
+    assert.match(result.stdout, /\[LOW\] rm -rf: "Bash\(rm -rf:\*\)" - neutralized by deny rule "Bash\(rm:\*\)"/);
+    assert.match(result.stdout, /\[LOW\] deny \(shadowed\): "Bash\(rm -rf \/:\*\)"/);
+    assert.match(result.stdout, /\[MEDIUM\] deny \(ineffective\): "bash\(curl:\*\)"/);
+  });
+
+  test('points deny findings at their entry', () => {
+    const report = JSON.parse(run(fixture('deny-ask'), '--format', 'json').stdout);
+    const shadowed = report.findings[0].issues.find(i => i.id === 'deny-shadowed');
+    assert.strictEqual(shadowed.path, 'permissions.deny[1]');
+    assert.strictEqual(shadowed.line, 14);
+  });
+});
+
+describe('cli - effective', () => {
+  const env = { CLAUDE_CONFIG_DIR: fixture('user-config') };
+
+  test('lists merged rules with their origin scope', () => {
+    const result = runWithEnv(env, 'effective', fixture('layered'));
+    assert.match(result.stdout, /Settings layers \(highest precedence first\)/);
+    assert.match(result.stdout, /Bash\(git reset --hard\) \[local\]/);
+    assert.match(result.stdout, /Bash\(git push\) \[project\]/);
+  });
+
+  test('audits the merged set rather than each file', () => {
+    const report = JSON.parse(runWithEnv(env, 'effective', fixture('layered'), '--format', 'json').stdout);
+    const rm = report.issues.find(i => i.name === 'rm -rf');
+    assert.strictEqual(rm.severity, 'LOW');
+    assert.strictEqual(rm.scope, 'local');
+    assert.strictEqual(report.issues.filter(i => i.name === 'git push').length, 1);
+    assert.deepStrictEqual(report.layers.map(l => l.scope), ['managed', 'local', 'project', 'user']);
+  });
+
+  test('follows the exit code contract', () => {
+    assert.strictEqual(runWithEnv(env, 'effective', fixture('layered')).status, 1);
+    assert.strictEqual(runWithEnv(env, 'effective', fixture('layered'), '--fail-on', 'HIGH').status, 0);
+    assert.strictEqual(runWithEnv(env, 'effective', fixture('does-not-exist')).status, 2);
+  });
+});
+
+describe('cli - --fix', () => {
+  async function copyFixture(name) {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-'));
+    await cp(fixture(name), dir, { recursive: true });
+    return dir;
+  }
+
+  test('--dry-run prints a diff without changing files', async () => {
+    const dir = await copyFixture('risky');
+    const file = join(dir, '.claude', 'settings.json');
+    const before = await readFile(file, 'utf-8');
+
+    const result = run(dir, '--dry-run');
+    assert.match(result.stdout, /^-\s+"Bash\(rm -rf:\*\)",$/m);
+    assert.match(result.stdout, /Dry run/);
+    assert.strictEqual(await readFile(file, 'utf-8'), before);
+    await rm(dir, { recursive: true });
+  });
+
+  test('--fix rewrites the file and keeps a backup', async () => {
+    const dir = await copyFixture('risky');
+    const file = join(dir, '.claude', 'settings.json');
+    const before = await readFile(file, 'utf-8');
+
+    const result = run(dir, '--fix');
+    assert.strictEqual(await readFile(`${file}.bak`, 'utf-8'), before);
+    assert.deepStrictEqual(JSON.parse(await readFile(file, 'utf-8')).permissions.allow, ['Bash(npm test)', 'Bash(git push)']);
+    // The remaining LOW finding still fails the default threshold
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(run(dir, '--fail-on', 'HIGH').status, 0);
+    await rm(dir, { recursive: true });
+  });
+
+  test('--fix-action ask moves entries to the ask list', async () => {
+    const dir = await copyFixture('risky');
+    const file = join(dir, '.claude', 'settings.json');
+
+    run(dir, '--fix', '--fix-action', 'ask', '--fix-severity', 'LOW');
+    assert.deepStrictEqual(JSON.parse(await readFile(file, 'utf-8')).permissions, {
+      allow: ['Bash(npm test)'],
+      ask: ['Bash(rm -rf:*)', 'Bash(git push)'],
+    });
+    await rm(dir, { recursive: true });
+  });
+
+  test('rejects --fix with structured output', () => {
+    assert.strictEqual(run(fixture('risky'), '--fix', '--format', 'json').status, 2);
+  });
+});
+
+describe('cli - --interactive', () => {
+  test('refuses to run without a terminal', () => {
+    const result = run(fixture('risky'), '--interactive');
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /needs a terminal/);
+  });
+
+  test('cannot be combined with structured output', () => {
+    assert.strictEqual(run(fixture('risky'), '-i', '--format', 'json').status, 2);
+  });
+});
+
+describe('cli - baseline', () => {
+  async function scratchCopy(name) {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-'));
+    await cp(fixture(name), dir, { recursive: true });
+    return dir;
+  }
+
+  test('--write-baseline records findings and later scans suppress them', async () => {
+    const dir = await scratchCopy('risky');
+    const written = run(dir, '--write-baseline');
+    assert.strictEqual(written.status, 0);
+    assert.match(written.stdout, /Wrote 2 finding\(s\)/);
+
+    const saved = JSON.parse(await readFile(join(dir, '.cc-safe-baseline.json'), 'utf-8'));
+    assert.deepStrictEqual(saved.findings.map(f => f.file), ['.claude/settings.json', '.claude/settings.json']);
+
+    const rescan = run(dir);
+    assert.strictEqual(rescan.status, 0);
+    assert.match(rescan.stdout, /2 finding\(s\) suppressed/);
+    await rm(dir, { recursive: true });
+  });
+
+  test('reports new findings and stale baseline entries', async () => {
+    const dir = await scratchCopy('risky');
+    const baselineFile = join(dir, 'accepted.json');
+    await writeFile(baselineFile, JSON.stringify({
+      version: 1,
+      findings: [
+        { file: '.claude/settings.json', rule: 'git push', permission: 'Bash(git push)' },
+        { file: '.claude/settings.json', rule: 'eval', permission: 'Bash(eval $X)' },
+      ],
+    }));
+
+    const result = run(dir, '--baseline', baselineFile, '--format', 'json');
+    const report = JSON.parse(result.stdout);
+    assert.deepStrictEqual(report.findings[0].issues.map(i => i.name), ['rm -rf']);
+    assert.strictEqual(report.baseline.suppressed, 1);
+    assert.deepStrictEqual(report.baseline.stale.map(e => e.rule), ['eval']);
+    assert.strictEqual(result.status, 1);
+    await rm(dir, { recursive: true });
+  });
+
+  test('exits 2 for an invalid baseline file', async () => {
+    const dir = await scratchCopy('risky');
+    const baselineFile = join(dir, 'accepted.json');
+    await writeFile(baselineFile, '{"version": 1}');
+
+    const result = run(dir, '--baseline', baselineFile);
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /expected a "findings" array/);
+    await rm(dir, { recursive: true });
+  });
+});
+
+describe('cli - config', () => {
+  test('applies the nearest .cc-safe.json', () => {
+    const result = run(fixture('configured'));
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /Using config: .*\.cc-safe\.json/);
+    assert.match(result.stdout, /\[HIGH\] terraform apply/);
+    assert.match(result.stdout, /\[MEDIUM\] git push/);
+    assert.match(result.stdout, /\[LOW\] sudo \(read-only\)/);
+    assert.doesNotMatch(result.stdout, /rm \(broad\)/);
+    assert.doesNotMatch(result.stdout, /legacy/);
+  });
+
+  test('custom rules are declared in SARIF output', () => {
+    const log = JSON.parse(run(fixture('configured'), '--format', 'sarif').stdout);
+    const { rules } = log.runs[0].tool.driver;
+    assert.ok(rules.some(({ id }) => id === 'terraform-apply'));
+    assert.ok(log.runs[0].results.every(({ ruleId, ruleIndex }) => rules[ruleIndex].id === ruleId));
+  });
+
+  test('exits 2 for an invalid config', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-'));
+    await writeFile(join(dir, '.cc-safe.json'), '{ "disable": ["no-such-rule"] }');
+
+    const result = run(dir);
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Invalid config .*: *\n {2}- disable\[0\]: Unknown rule "no-such-rule"/);
+    await rm(dir, { recursive: true });
+  });
+
+  test('--config points at a config file explicitly', () => {
+    const result = run(fixture('risky'), '--config', join(fixture('configured'), '.cc-safe.json'), '--format', 'json');
+    const issues = JSON.parse(result.stdout).findings.flatMap(f => f.issues);
+    assert.strictEqual(issues.find(i => i.name === 'git push').severity, 'MEDIUM');
+  });
+});
+
+describe('cli - hooks and MCP servers', () => {
+  test('reports commands from hooks, the status line and .mcp.json', () => {
+    const result = run(fixture('hooks'));
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /\[HIGH\] credential files: "cat ~\/\.aws\/credentials .*" - PreToolUse hook, matcher "Bash"/);
+    assert.match(result.stdout, /\[HIGH\] git push --force: "git add -A && git push --force" - Stop hook/);
+    assert.match(result.stdout, /\[HIGH\] curl \| sh: .* - status line command/);
+    assert.match(result.stdout, /\.mcp\.json \[project\]\n {2}\[MEDIUM\] docker --privileged: .* - MCP server "sandbox"/);
+  });
+
+  test('includes the source and location in json output', () => {
+    const report = JSON.parse(run(fixture('hooks'), '--format', 'json').stdout);
+    const issues = report.findings.flatMap(({ issues }) => issues);
+    const stop = issues.find(i => i.id === 'git-push-force');
+    assert.deepStrictEqual(stop.source, { type: 'hook', event: 'Stop' });
+    assert.strictEqual(stop.path, 'hooks.Stop[0].hooks[0].command');
+    assert.strictEqual(stop.line, 17);
+  });
+});
+
+describe('cli - risky settings', () => {
+  test('reports settings outside the permission lists', () => {
+    const result = run(fixture('risky-settings'));
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /\[HIGH\] bypassPermissions mode: "defaultMode: bypassPermissions"/);
+    assert.match(result.stdout, /\[HIGH\] env \(secret\): "env: ANTHROPIC_API_KEY"/);
+    assert.doesNotMatch(result.stdout, /sk-ant-example/);
+  });
+
+  test('points at the setting in json output', () => {
+    const report = JSON.parse(run(fixture('risky-settings'), '--format', 'json').stdout);
+    const sandbox = report.findings[0].issues.find(i => i.id === 'sandbox-disabled');
+    assert.strictEqual(sandbox.path, 'sandbox.enabled');
+    assert.strictEqual(sandbox.line, 13);
+  });
+});
+
+describe('cli - --summary', () => {
+  test('ranks projects by risk score', () => {
+    const result = run(fixture('.'), '--summary');
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /Projects \(worst first\):\n {2}Score .*\n +39 +3 +3 +0 +1 {2}risky-settings\n/);
+    assert.match(result.stdout, /Rules \(most widespread first\):/);
+    assert.doesNotMatch(result.stdout, /\[HIGH\] rm -rf:/);
+  });
+
+  test('prints scores as json', () => {
+    const report = JSON.parse(run(fixture('layered'), '--summary', '--format', 'json').stdout);
+    assert.strictEqual(report.projects.length, 1);
+    assert.strictEqual(report.projects[0].score, 14);
+    assert.deepStrictEqual(report.files.map(({ score }) => score), [13, 1]);
+  });
+
+  test('rejects sarif, fixes and subcommands', () => {
+    assert.strictEqual(run(fixture('risky'), '--summary', '--format', 'sarif').status, 2);
+    assert.strictEqual(run(fixture('risky'), '--summary', '--dry-run').status, 2);
+    const result = run('effective', fixture('risky'), '--summary');
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /--summary is not supported by the effective command/);
+  });
+});
+
+describe('cli - html and --output', () => {
+  test('writes a self-contained html report', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-html-'));
+    const file = join(dir, 'report.html');
+    const result = run(fixture('risky'), '--format', 'html', '--output', file);
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stdout, `Wrote report to ${file}\n`);
+    const html = await readFile(file, 'utf-8');
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /data-rule="rm-force"/);
+    await rm(dir, { recursive: true });
+  });
+
+  test('writes other formats to a file too', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-output-'));
+    const file = join(dir, 'report.json');
+    run(fixture('risky'), '--format', 'json', '-o', file);
+    assert.strictEqual(JSON.parse(await readFile(file, 'utf-8')).summary.high, 1);
+    await rm(dir, { recursive: true });
+  });
+
+  test('only works for directory scans', () => {
+    const result = run('effective', fixture('risky'), '--format', 'html');
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /--format html is not supported by the effective command/);
+    assert.strictEqual(run('history', '--output', 'x.json').status, 2);
+  });
+});
+
+describe('cli - watch', () => {
+  // Start watching, make a change once the first scan is done, and collect
+  // the output until the process exits (or is stopped after a few seconds)
+  function watchAndChange(args, change) {
+    return new Promise((resolve) => {
+      const child = spawn(process.execPath, [CLI, 'watch', ...args]);
+      child.stdout.setEncoding('utf-8');
+      const guard = setTimeout(() => child.kill(), 5000);
+      let stdout = '';
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk;
+        if (/Watching/.test(chunk)) {
+          change();
+        }
+      });
+      child.on('close', (status) => {
+        clearTimeout(guard);
+        resolve({ status, stdout });
+      });
+    });
+  }
+
+  test('prints new findings and runs --on-high before exiting on a HIGH', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-'));
+    await cp(fixture('low-only'), dir, { recursive: true });
+    const marker = join(dir, 'on-high.txt');
+
+    const result = await watchAndChange(
+      [dir, '--interval', '0.2', '--exit-on-high', '--on-high', `echo "$CC_SAFE_RULE $CC_SAFE_PERMISSION" > "${marker}"`],
+      () => mkdir(join(dir, 'api', '.claude'), { recursive: true }).then(() =>
+        writeFile(join(dir, 'api', '.claude', 'settings.json'), JSON.stringify({ permissions: { allow: ['Bash(rm -rf:*)'] } }))
+      )
+    );
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /Summary: 1 low risk pattern\(s\) found - only new findings/);
+    assert.match(result.stdout, /^\[\d{4}-\d\d-\d\d \d\d:\d\d:\d\d\] .*api\/\.claude\/settings\.json \[project\]\n {2}\[HIGH\] rm -rf/m);
+    assert.doesNotMatch(result.stdout, /\[LOW\]/);
+    assert.strictEqual(await readFile(marker, 'utf-8'), 'rm -rf Bash(rm -rf:*)\n');
+    await rm(dir, { recursive: true });
+  });
+
+  test('rejects options that only apply to one-off scans', () => {
+    assert.strictEqual(run('watch', fixture('risky'), '--format', 'json').status, 2);
+    assert.strictEqual(run('watch', fixture('risky'), '--interval', '0').status, 2);
+  });
+});
+
+describe('cli - project configs', () => {
+  test('exits with code 2 for an invalid config in a project below the scanned directory', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-projects-'));
+    await cp(fixture('risky'), join(dir, 'api'), { recursive: true });
+    await writeFile(join(dir, 'api', '.cc-safe.json'), '{ "disable": ["nope"] }');
+    const result = run(dir);
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Invalid config .*api\/\.cc-safe\.json:\n  - disable\[0\]: Unknown rule "nope"/);
+    await rm(dir, { recursive: true });
+  });
+});
+
+describe('cli - hook', () => {
+  const runHook = async (name) => spawnSync(process.execPath, [CLI, 'hook'], {
+    encoding: 'utf-8',
+    input: await readFile(fixture(`hook-payloads/${name}.json`), 'utf-8'),
+  });
+
+  test('prints a deny decision for a HIGH risk command', async () => {
+    const result = await runHook('rm-home');
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(JSON.parse(result.stdout).hookSpecificOutput.permissionDecision, 'deny');
+  });
+
+  test('prints nothing for a safe command', async () => {
+    const result = await runHook('npm-test');
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout, '');
+  });
+
+  test('ignores a project config that disables rules', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-hook-'));
+    await writeFile(join(dir, '.cc-safe.json'), JSON.stringify({ disable: ['rm-force', 'risky-target'] }));
+    const result = spawnSync(process.execPath, [CLI, 'hook'], {
+      encoding: 'utf-8',
+      env: { ...process.env, CLAUDE_CONFIG_DIR: join(dir, 'user') },
+      input: JSON.stringify({ tool_name: 'Bash', tool_input: { command: 'rm -rf ~/' }, cwd: dir }),
+    });
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(JSON.parse(result.stdout).hookSpecificOutput.permissionDecision, 'deny');
+    await rm(dir, { recursive: true });
+  });
+
+  test('reports bad input without blocking', () => {
+    const result = spawnSync(process.execPath, [CLI, 'hook'], { encoding: 'utf-8', input: 'not json' });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /could not read the tool call/);
+  });
+});
+
+describe('cli - install-hook', () => {
+  test('adds the hook once and keeps a backup', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-'));
+    await cp(fixture('risky'), dir, { recursive: true });
+    const file = join(dir, '.claude', 'settings.json');
+    const before = await readFile(file, 'utf-8');
+
+    const result = run('install-hook', file);
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /^\+ {4}"PreToolUse": \[$/m);
+    assert.strictEqual(await readFile(`${file}.bak`, 'utf-8'), before);
+    assert.strictEqual(JSON.parse(await readFile(file, 'utf-8')).hooks.PreToolUse[0].hooks[0].command, 'cc-safe hook');
+
+    assert.match(run('install-hook', file).stdout, /already installed/);
+    await rm(dir, { recursive: true });
+  });
+
+  test('defaults to the user settings file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-'));
+    const result = runWithEnv({ CLAUDE_CONFIG_DIR: dir }, 'install-hook', '--hook-command', 'npx -y cc-safe hook');
+    assert.strictEqual(result.status, 0);
+    const settings = JSON.parse(await readFile(join(dir, 'settings.json'), 'utf-8'));
+    assert.strictEqual(settings.hooks.PreToolUse[0].hooks[0].command, 'npx -y cc-safe hook');
+    await rm(dir, { recursive: true });
+  });
+});
+
+describe('cli - history', () => {
+  const env = { CLAUDE_CONFIG_DIR: fixture('history'), TZ: 'UTC' };
+
+  test('lists dangerous commands with the rule that approved them', () => {
+    const result = runWithEnv(env, 'history', '/work/webapp');
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /^ {2}2026-05-04 12:01:00 \[HIGH\] rm -rf: "rm -rf build" - auto-approved by "Bash\(rm -rf build\)" \[user\]$/m);
+    assert.match(result.stdout, /"git push --force origin main" - not matched by an allow rule$/m);
+    assert.doesNotMatch(result.stdout, /sudo rm/);
+    assert.match(result.stdout, /Checked 3 command\(s\) in 2 transcript\(s\)/);
+  });
+
+  test('prints JSON', () => {
+    const report = JSON.parse(runWithEnv(env, 'history', '--format', 'json', '--since', '2026-05-04T12:02:00Z').stdout);
+    assert.strictEqual(report.commands, 1);
+    assert.strictEqual(report.findings[0].approval, null);
+    assert.strictEqual(report.findings[0].issues[0].id, 'git-push-force');
+  });
+
+  test('rejects an invalid date', () => {
+    assert.strictEqual(runWithEnv(env, 'history', '--since', 'someday').status, 2);
+  });
+});
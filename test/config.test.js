@@ -0,0 +1,193 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, readFile, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { findConfigFile, loadConfig, resolveConfig, isIgnored } from '../lib/config.js';
+import { loadScanConfig } from '../lib/scan.js';
+import { auditPermissions, checkPermission, activeRules } from '../lib/checker.js';
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+describe('findConfigFile', () => {
+  test('finds a config in a parent directory', async () => {
+    assert.strictEqual(
+      await findConfigFile(join(fixture('configured'), '.claude')),
+      join(fixture('configured'), '.cc-safe.json')
+    );
+  });
+
+  test('never picks up a cc-safe.config.js from the scanned tree', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-config-'));
+    const marker = join(dir, 'ran');
+    await writeFile(join(dir, 'cc-safe.config.js'), `import { writeFileSync } from 'node:fs';
+writeFileSync(${JSON.stringify(marker)}, '');
+export default {};
+`);
+    const userDir = join(dir, 'user');
+    assert.strictEqual(await findConfigFile(dir, { userDir }), null);
+    const savedConfigDir = process.env.CLAUDE_CONFIG_DIR;
+    process.env.CLAUDE_CONFIG_DIR = userDir;
+    try {
+      assert.deepStrictEqual(await loadScanConfig(dir), {});
+    } finally {
+      if (savedConfigDir === undefined) delete process.env.CLAUDE_CONFIG_DIR;
+      else process.env.CLAUDE_CONFIG_DIR = savedConfigDir;
+    }
+    await assert.rejects(readFile(marker), { code: 'ENOENT' });
+    await rm(dir, { recursive: true });
+  });
+
+  test('falls back to a config in the user config directory', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-config-'));
+    const userDir = join(dir, 'user');
+    await mkdir(userDir);
+    await writeFile(join(userDir, 'cc-safe.config.js'), 'export default {};\n');
+    assert.strictEqual(await findConfigFile(join(dir, 'project'), { userDir }), join(userDir, 'cc-safe.config.js'));
+    await writeFile(join(userDir, '.cc-safe.json'), '{}');
+    assert.strictEqual(await findConfigFile(join(dir, 'project'), { userDir }), join(userDir, '.cc-safe.json'));
+    await writeFile(join(dir, '.cc-safe.json'), '{}');
+    assert.strictEqual(await findConfigFile(join(dir, 'project'), { userDir }), join(dir, '.cc-safe.json'));
+    await rm(dir, { recursive: true });
+  });
+});
+
+describe('loadConfig', () => {
+  test('loads a JSON config', async () => {
+    const config = await loadConfig(join(fixture('configured'), '.cc-safe.json'));
+    assert.strictEqual(config.rules[0].id, 'terraform-apply');
+    assert.ok(config.rules[0].pattern.test('Bash(terraform destroy)'));
+    assert.strictEqual(config.severities.get('git push'), 'MEDIUM');
+    assert.deepStrictEqual(config.disable, ['rm-broad']);
+  });
+
+  test('loads a JS config with regex patterns', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-config-'));
+    const file = join(dir, 'cc-safe.config.js');
+    await writeFile(file, `export default {
+  rules: [{ name: 'kubectl delete', pattern: /\\bkubectl\\s+delete\\b/g, severity: 'high' }],
+};
+`);
+    const config = await loadConfig(file);
+    assert.strictEqual(config.rules[0].id, 'custom-kubectl-delete');
+    assert.strictEqual(config.rules[0].severity, 'HIGH');
+    assert.strictEqual(config.rules[0].description, 'Custom rule from cc-safe.config.js');
+    // A global flag would make repeated tests alternate between matching and not
+    assert.ok(config.rules[0].pattern.test('kubectl delete pod'));
+    assert.ok(config.rules[0].pattern.test('kubectl delete pod'));
+    await rm(dir, { recursive: true });
+  });
+
+  test('reports JSON syntax errors with their position', async () => {
+    await assert.rejects(
+      loadConfig(join(fixture('malformed'), '.claude', 'settings.json')),
+      /Could not parse config .*line 5 column 5/
+    );
+  });
+});
+
+describe('resolveConfig', () => {
+  test('an empty config changes nothing', () => {
+    const config = resolveConfig({});
+    assert.deepStrictEqual(checkPermission('Bash(git push)', config), checkPermission('Bash(git push)'));
+  });
+
+  test('lists every problem with its location', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-config-'));
+    const file = join(dir, '.cc-safe.json');
+    await writeFile(file, `{
+  "rules": [{ "name": "bad", "pattern": "(", "severity": "HIGH" }],
+  "severities": { "git-push": "CRITICAL", "no-such-rule": "LOW" },
+  "disable": [42],
+  "ignores": []
+}
+`);
+    await assert.rejects(loadConfig(file), (err) => {
+      assert.match(err.message, /^Invalid config .*\.cc-safe\.json:/);
+      assert.match(err.message, /ignores: Unknown option "ignores".*\(line 5, column 14\)/);
+      assert.match(err.message, /rules\[0\]\.pattern: Invalid regular expression/);
+      assert.match(err.message, /severities\["git-push"\]: Severity must be one of: HIGH, MEDIUM, LOW \(line 3, column 31\)/);
+      assert.match(err.message, /Unknown rule "no-such-rule"/);
+      assert.match(err.message, /disable\[0\]: Must be a non-empty string/);
+      return true;
+    });
+    await rm(dir, { recursive: true });
+  });
+
+  test('rejects custom rules that reuse a built-in id', () => {
+    assert.throws(
+      () => resolveConfig({ rules: [{ id: 'eval', name: 'eval again', pattern: 'eval', severity: 'LOW' }] }),
+      /rules\[0\]\.id: Rule id "eval" is already in use/
+    );
+  });
+
+  test('requires name, pattern and severity', () => {
+    assert.throws(() => resolveConfig({ rules: [{ pattern: 'x', severity: 'LOW' }] }), /rules\[0\]\.name/);
+    assert.throws(() => resolveConfig({ rules: [{ name: 'x', severity: 'LOW' }] }), /rules\[0\]\.pattern/);
+    assert.throws(() => resolveConfig({ rules: [{ name: 'x', pattern: 'x' }] }), /rules\[0\]\.severity/);
+  });
+
+  test('downgradeLocalTargets must be a boolean', () => {
+    assert.strictEqual(resolveConfig({}).downgradeLocalTargets, false);
+    assert.strictEqual(resolveConfig({ downgradeLocalTargets: true }).downgradeLocalTargets, true);
+    assert.throws(() => resolveConfig({ downgradeLocalTargets: 'yes' }), /downgradeLocalTargets: Must be true or false/);
+  });
+
+  test('rejects a config that is not an object', () => {
+    assert.throws(() => resolveConfig([]), /Config must be an object/);
+  });
+});
+
+describe('checking with a config', () => {
+  const config = resolveConfig({
+    rules: [{ id: 'terraform-apply', name: 'terraform apply', pattern: '\\bterraform\\s+apply\\b', severity: 'HIGH' }],
+    severities: { 'git-push': 'MEDIUM', 'deny (shadowed)': 'MEDIUM' },
+    disable: ['eval'],
+    safeSudoCommands: ['nvidia-smi'],
+    containerPrefixes: ['lxc exec'],
+  });
+
+  test('custom rules report like built-in ones', () => {
+    const [issue] = checkPermission('Bash(terraform apply:*)', config);
+    assert.strictEqual(issue.id, 'terraform-apply');
+    assert.strictEqual(issue.severity, 'HIGH');
+  });
+
+  test('severity overrides apply by id or name', () => {
+    assert.strictEqual(checkPermission('Bash(git push)', config)[0].severity, 'MEDIUM');
+    const issues = auditPermissions({ deny: ['Bash(rm:*)', 'Bash(rm -rf:*)'] }, config);
+    assert.strictEqual(issues[0].severity, 'MEDIUM');
+  });
+
+  test('disabled rules are not reported', () => {
+    assert.deepStrictEqual(checkPermission('Bash(eval $CMD)', config), []);
+  });
+
+  test('extra safe sudo commands and container prefixes', () => {
+    assert.strictEqual(checkPermission('Bash(sudo nvidia-smi:*)', config)[0].id, 'sudo-read-only');
+    assert.deepStrictEqual(checkPermission('Bash(lxc exec dev -- rm -rf /tmp)', config), []);
+  });
+
+  test('activeRules reflects the config', () => {
+    const rules = activeRules(config);
+    assert.ok(rules.some(({ id }) => id === 'terraform-apply'));
+    assert.ok(!rules.some(({ id }) => id === 'eval'));
+    assert.strictEqual(rules.find(({ id }) => id === 'git-push').severity, 'MEDIUM');
+  });
+});
+
+describe('isIgnored', () => {
+  const config = resolveConfig({ ignore: ['legacy', 'vendor/**/settings.local.json'] }, { file: '/work/.cc-safe.json' });
+
+  test('ignores files under a listed directory', () => {
+    assert.ok(isIgnored(config, '/work/legacy/.claude/settings.json'));
+    assert.ok(!isIgnored(config, '/work/legacy-app/.claude/settings.json'));
+  });
+
+  test('matches globs relative to the config directory', () => {
+    assert.ok(isIgnored(config, '/work/vendor/x/.claude/settings.local.json'));
+    assert.ok(!isIgnored(config, '/work/vendor/x/.claude/settings.json'));
+    assert.ok(!isIgnored(config, '/elsewhere/legacy/.claude/settings.json'));
+  });
+});
@@ -0,0 +1,34 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { unifiedDiff } from '../lib/diff.js';
+
+describe('unifiedDiff', () => {
+  test('returns an empty string for identical text', () => {
+    assert.strictEqual(unifiedDiff('a\nb\n', 'a\nb\n'), '');
+  });
+
+  test('produces a hunk with context', () => {
+    const before = 'one\ntwo\nthree\nfour\nfive\n';
+    const after = 'one\ntwo\nfour\nfive\n';
+    assert.strictEqual(unifiedDiff(before, after, { fromFile: 'x', toFile: 'x', context: 1 }), [
+      '--- x',
+      '+++ x',
+      '@@ -2,3 +2,2 @@',
+      ' two',
+      '-three',
+      ' four',
+    ].join('\n'));
+  });
+
+  test('splits distant changes into separate hunks', () => {
+    const before = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+    const after = before.replace('line 1\n', 'line one\n').replace('line 18', 'line eighteen');
+    const hunks = unifiedDiff(before, after).split('\n').filter(line => line.startsWith('@@'));
+    assert.deepStrictEqual(hunks, ['@@ -1,5 +1,5 @@', '@@ -16,5 +16,5 @@']);
+  });
+
+  test('shows additions', () => {
+    const diff = unifiedDiff('a\n', 'a\nb\n');
+    assert.ok(diff.endsWith('@@ -1,1 +1,2 @@\n a\n+b'));
+  });
+});
@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mergePermissionLayers, auditEffectivePermissions, groupByFile } from '../lib/effective.js';
+
+const layers = [
+  {
+    scope: 'user',
+    file: '/home/me/.claude/settings.json',
+    permissions: { allow: ['Bash(rm -rf:*)', 'Bash(git push:*)'] },
+  },
+  {
+    scope: 'project',
+    file: '/work/app/.claude/settings.json',
+    permissions: { allow: ['Bash(npm test)', 'Bash(git push:*)'], deny: ['Bash(rm:*)'] },
+    locations: new Map([['permissions.allow[1]', { line: 4, column: 7 }]]),
+  },
+  {
+    scope: 'local',
+    file: '/work/app/.claude/settings.local.json',
+    permissions: { allow: ['Bash(git reset --hard)', 42], ask: 'not a list' },
+  },
+];
+
+describe('mergePermissionLayers', () => {
+  const merged = mergePermissionLayers(layers);
+
+  test('combines lists from every layer in precedence order', () => {
+    assert.deepStrictEqual(merged.allow.map(e => e.rule), [
+      'Bash(git reset --hard)',
+      'Bash(npm test)',
+      'Bash(git push:*)',
+      'Bash(rm -rf:*)',
+    ]);
+    assert.deepStrictEqual(merged.ask, []);
+    assert.deepStrictEqual(merged.deny.map(e => e.rule), ['Bash(rm:*)']);
+  });
+
+  test('attributes duplicate rules to the highest-precedence layer', () => {
+    const push = merged.allow.find(e => e.rule === 'Bash(git push:*)');
+    assert.strictEqual(push.scope, 'project');
+    assert.strictEqual(push.path, 'permissions.allow[1]');
+    assert.deepStrictEqual(push.location, { line: 4, column: 7 });
+    assert.deepStrictEqual(push.alsoIn, [{ scope: 'user', file: '/home/me/.claude/settings.json' }]);
+  });
+});
+
+describe('auditEffectivePermissions', () => {
+  const issues = auditEffectivePermissions(mergePermissionLayers(layers));
+
+  test('applies deny rules from other layers', () => {
+    const rm = issues.find(i => i.name === 'rm -rf');
+    assert.strictEqual(rm.severity, 'LOW');
+    assert.strictEqual(rm.scope, 'user');
+    assert.strictEqual(rm.file, '/home/me/.claude/settings.json');
+    assert.strictEqual(rm.path, 'permissions.allow[0]');
+  });
+
+  test('reports each merged rule once', () => {
+    assert.strictEqual(issues.filter(i => i.name === 'git push').length, 1);
+  });
+});
+
+describe('groupByFile', () => {
+  test('groups issues and errors by origin file', () => {
+    const findings = groupByFile(
+      [{ name: 'git push', file: '/a/settings.json', scope: 'project' }],
+      [{ type: 'parse', message: 'bad', file: '/b/settings.local.json', scope: 'local' }]
+    );
+    assert.deepStrictEqual(findings, [
+      { file: '/a/settings.json', scope: 'project', issues: [{ name: 'git push', file: '/a/settings.json', scope: 'project' }], errors: [] },
+      { file: '/b/settings.local.json', scope: 'local', issues: [], errors: [{ type: 'parse', message: 'bad' }] },
+    ]);
+  });
+});
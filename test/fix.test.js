@@ -0,0 +1,107 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { removeArrayEntry, appendArrayEntries, fixableIndexes, fixSettingsText } from '../lib/fix.js';
+
+const SETTINGS = `{
+  "permissions": {
+    "allow": [
+      "Bash(npm test)",
+      "Bash(rm -rf:*)",
+      "Bash(git push)"
+    ]
+  },
+  "model": "opus"
+}
+`;
+
+describe('removeArrayEntry', () => {
+  test('removes a middle entry with its separator', () => {
+    const result = removeArrayEntry(SETTINGS, 'permissions.allow', 1);
+    assert.strictEqual(result, SETTINGS.replace('      "Bash(rm -rf:*)",\n', ''));
+  });
+
+  test('removes the last entry and the preceding comma', () => {
+    const result = removeArrayEntry(SETTINGS, 'permissions.allow', 2);
+    assert.strictEqual(result, SETTINGS.replace(',\n      "Bash(git push)"', ''));
+  });
+
+  test('leaves an empty array when removing the only entry', () => {
+    assert.strictEqual(removeArrayEntry('{"allow": ["Bash"]}', 'allow', 0), '{"allow": []}');
+  });
+
+  test('handles single-line arrays', () => {
+    assert.strictEqual(removeArrayEntry('{"allow": ["a", "b", "c"]}', 'allow', 1), '{"allow": ["a", "c"]}');
+  });
+});
+
+describe('appendArrayEntries', () => {
+  test('follows the indentation of existing entries', () => {
+    const result = appendArrayEntries(SETTINGS, 'permissions.allow', ['Read']);
+    assert.ok(result.includes('      "Bash(git push)",\n      "Read"\n    ]'));
+  });
+
+  test('appends inline to single-line arrays', () => {
+    assert.strictEqual(appendArrayEntries('{"ask": ["a"]}', 'ask', ['b']), '{"ask": ["a", "b"]}');
+  });
+
+  test('fills an empty array', () => {
+    const result = appendArrayEntries('{\n  "ask": []\n}\n', 'ask', ['Bash(git push)']);
+    assert.strictEqual(result, '{\n  "ask": [\n    "Bash(git push)"\n  ]\n}\n');
+  });
+});
+
+describe('fixableIndexes', () => {
+  test('selects allow entries at or above the threshold', () => {
+    const issues = [
+      { path: 'permissions.allow[2]', severity: 'LOW' },
+      { path: 'permissions.allow[1]', severity: 'HIGH' },
+      { path: 'permissions.allow[1]', severity: 'MEDIUM' },
+      { path: 'permissions.deny[0]', severity: 'MEDIUM' },
+    ];
+    assert.deepStrictEqual(fixableIndexes(issues, 'HIGH'), [1]);
+    assert.deepStrictEqual(fixableIndexes(issues, 'LOW'), [1, 2]);
+  });
+});
+
+describe('fixSettingsText', () => {
+  test('removes entries and keeps everything else intact', () => {
+    const result = fixSettingsText(SETTINGS, [1, 2]);
+    assert.strictEqual(result, `{
+  "permissions": {
+    "allow": [
+      "Bash(npm test)"
+    ]
+  },
+  "model": "opus"
+}
+`);
+  });
+
+  test('moves entries to a new ask list after allow', () => {
+    const result = fixSettingsText(SETTINGS, [1], { action: 'ask' });
+    assert.strictEqual(result, `{
+  "permissions": {
+    "allow": [
+      "Bash(npm test)",
+      "Bash(git push)"
+    ],
+    "ask": [
+      "Bash(rm -rf:*)"
+    ]
+  },
+  "model": "opus"
+}
+`);
+  });
+
+  test('moves entries to an existing ask list without duplicates', () => {
+    const text = '{\n  "permissions": {\n    "allow": ["Bash(git push)", "Bash(rm -rf:*)"],\n    "ask": ["Bash(git push)"]\n  }\n}\n';
+    const result = fixSettingsText(text, [0, 1], { action: 'ask' });
+    assert.deepStrictEqual(JSON.parse(result).permissions, { allow: [], ask: ['Bash(git push)', 'Bash(rm -rf:*)'] });
+  });
+
+  test('refuses to move entries when ask is not an array', () => {
+    const text = '{"permissions": {"allow": ["Bash"], "ask": "Bash"}}';
+    assert.throws(() => fixSettingsText(text, [0], { action: 'ask' }), /not an array/);
+  });
+});
@@ -0,0 +1,159 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, readFile, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { toolPermission, hookDecision, loadHookConfig, formatHookOutput, installHookText, hasHook } from '../lib/hook.js';
+
+const payload = async (name) => JSON.parse(await readFile(new URL(`./fixtures/hook-payloads/${name}.json`, import.meta.url), 'utf-8'));
+
+describe('toolPermission', () => {
+  test('turns tool calls into permission rules', async () => {
+    assert.strictEqual(toolPermission(await payload('rm-home')), 'Bash(rm -rf ~/)');
+    assert.strictEqual(toolPermission(await payload('write-bashrc')), 'Edit(//Users/you/.bashrc)');
+  });
+
+  test('makes paths inside the working directory relative', async () => {
+    assert.strictEqual(toolPermission(await payload('write-project')), 'Write(src/app.js)');
+  });
+
+  test('skips tools it does not check', () => {
+    assert.strictEqual(toolPermission({ tool_name: 'WebSearch', tool_input: { query: 'rm -rf' } }), null);
+    assert.strictEqual(toolPermission({ tool_name: 'Bash', tool_input: {} }), null);
+  });
+});
+
+describe('hookDecision', () => {
+  test('denies HIGH risks', async () => {
+    const result = hookDecision(await payload('rm-home'));
+    assert.strictEqual(result.decision, 'deny');
+    assert.strictEqual(result.reason, 'cc-safe: [HIGH] rm -rf: Force-deletes files without confirmation (on "~/", the home directory)');
+    assert.strictEqual(hookDecision(await payload('write-bashrc')).decision, 'deny');
+  });
+
+  test('asks for MEDIUM risks', async () => {
+    assert.strictEqual(hookDecision(await payload('sudo-install')).decision, 'ask');
+  });
+
+  test('leaves safe calls and LOW risks to Claude Code', async () => {
+    assert.strictEqual(hookDecision(await payload('npm-test')), null);
+    assert.strictEqual(hookDecision(await payload('write-project')), null);
+    assert.strictEqual(hookDecision({ tool_name: 'Bash', tool_input: { command: 'git push' } }), null);
+  });
+
+  test('asks instead of denying for project-local targets', () => {
+    const result = hookDecision({ tool_name: 'Bash', tool_input: { command: 'rm -rf node_modules' } });
+    assert.strictEqual(result.decision, 'ask');
+    assert.match(result.reason, /\[MEDIUM\] rm -rf: .* \(on "node_modules", inside the project\)/);
+  });
+
+  test('applies the config', async () => {
+    const config = { severities: new Map([['rm-force', 'LOW']]) };
+    assert.strictEqual(hookDecision(await payload('rm-home'), config), null);
+  });
+});
+
+describe('loadHookConfig', () => {
+  const bash = (command) => ({ tool_name: 'Bash', tool_input: { command } });
+
+  const project = async (files) => {
+    const dir = await mkdtemp(join(tmpdir(), 'cc-safe-hook-'));
+    await mkdir(join(dir, 'user'));
+    for (const [name, text] of Object.entries(files)) {
+      await writeFile(join(dir, name), text);
+    }
+    return dir;
+  };
+
+  test('lets a project config add checks but not remove them', async () => {
+    const dir = await project({
+      '.cc-safe.json': JSON.stringify({
+        rules: [{ name: 'terraform apply', pattern: 'terraform apply', severity: 'HIGH' }],
+        severities: { 'git push': 'HIGH', sudo: 'LOW' },
+        disable: ['rm-force'],
+        safeSudoCommands: ['apt'],
+        downgradeLocalTargets: true,
+      }),
+    });
+    const config = await loadHookConfig(dir, { userDir: join(dir, 'user') });
+    assert.strictEqual(hookDecision(bash('rm -rf ~/'), config).decision, 'deny');
+    assert.strictEqual(hookDecision(bash('sudo apt install jq'), config).decision, 'ask');
+    assert.strictEqual(hookDecision(bash('git push'), config).decision, 'deny');
+    assert.strictEqual(hookDecision(bash('terraform apply'), config).decision, 'deny');
+    await rm(dir, { recursive: true });
+  });
+
+  test('keeps the user config and skips a broken project config', async () => {
+    const dir = await project({ '.cc-safe.json': '{ "disable": [' });
+    await writeFile(join(dir, 'user', '.cc-safe.json'), JSON.stringify({ disable: ['sudo'] }));
+    const errors = [];
+    const config = await loadHookConfig(dir, { userDir: join(dir, 'user'), onError: err => errors.push(err) });
+    assert.deepStrictEqual(config.disable, ['sudo']);
+    assert.match(errors[0].message, /Could not parse config/);
+    await rm(dir, { recursive: true });
+  });
+
+  test('never runs a JS config from the project', async () => {
+    const dir = await project({});
+    const marker = join(dir, 'ran');
+    await writeFile(join(dir, 'cc-safe.config.js'), `import { writeFileSync } from 'node:fs';
+writeFileSync(${JSON.stringify(marker)}, '');
+export default { disable: ['rm-force'] };
+`);
+    assert.deepStrictEqual(await loadHookConfig(dir, { userDir: join(dir, 'user') }), {});
+    await assert.rejects(readFile(marker), { code: 'ENOENT' });
+    await rm(dir, { recursive: true });
+  });
+});
+
+describe('formatHookOutput', () => {
+  test('prints the decision in the hook output format', async () => {
+    assert.deepStrictEqual(JSON.parse(formatHookOutput(hookDecision(await payload('sudo-install')))), {
+      hookSpecificOutput: {
+        hookEventName: 'PreToolUse',
+        permissionDecision: 'ask',
+        permissionDecisionReason: 'cc-safe: [MEDIUM] sudo: Runs commands as root/administrator',
+      },
+    });
+    assert.strictEqual(formatHookOutput(null), '');
+  });
+});
+
+describe('installHookText', () => {
+  const hookGroup = { matcher: 'Bash|Write|Edit|MultiEdit|NotebookEdit|Read|NotebookRead', hooks: [{ type: 'command', command: 'cc-safe hook' }] };
+
+  test('adds the hook to a file without hooks, keeping its layout', () => {
+    const text = '{\n  "permissions": {\n    "allow": ["Bash(npm test)"]\n  }\n}\n';
+    const updated = installHookText(text);
+    assert.ok(updated.startsWith('{\n  "permissions": {\n    "allow": ["Bash(npm test)"]\n  },\n  "hooks": {\n    "PreToolUse": [\n'));
+    assert.deepStrictEqual(JSON.parse(updated).hooks, { PreToolUse: [hookGroup] });
+  });
+
+  test('creates settings from an empty file', () => {
+    assert.deepStrictEqual(JSON.parse(installHookText('')), { hooks: { PreToolUse: [hookGroup] } });
+  });
+
+  test('adds to existing hooks and PreToolUse groups', () => {
+    const stop = { hooks: [{ type: 'command', command: 'say done' }] };
+    assert.deepStrictEqual(JSON.parse(installHookText(JSON.stringify({ hooks: { Stop: [stop] } }))).hooks, {
+      Stop: [stop],
+      PreToolUse: [hookGroup],
+    });
+
+    const existing = { matcher: 'Bash', hooks: [] };
+    const updated = installHookText(JSON.stringify({ hooks: { PreToolUse: [existing] } }, null, 2));
+    assert.deepStrictEqual(JSON.parse(updated).hooks.PreToolUse, [existing, hookGroup]);
+  });
+
+  test('uses a custom command and does nothing when the hook is installed', () => {
+    const updated = installHookText('{}', 'npx -y cc-safe hook');
+    assert.ok(hasHook(JSON.parse(updated), 'npx -y cc-safe hook'));
+    assert.strictEqual(installHookText(updated, 'npx -y cc-safe hook'), updated);
+  });
+
+  test('throws when hooks have the wrong shape', () => {
+    assert.throws(() => installHookText('{ "hooks": [] }'), /"hooks" must be an object/);
+    assert.throws(() => installHookText('{ "hooks": { "PreToolUse": {} } }'), /"hooks.PreToolUse" must be an array/);
+    assert.throws(() => installHookText('[]'), /JSON object/);
+  });
+});
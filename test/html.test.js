@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { formatHtml } from '../lib/html.js';
+
+const findings = [
+  {
+    file: '/projects/app/.claude/settings.json',
+    scope: 'project',
+    issues: [
+      { id: 'rm-force', name: 'rm -rf', severity: 'HIGH', description: 'Force-deletes files without confirmation', permission: 'Bash(rm -rf ~/)', target: { argument: '~/', reason: 'the home directory' }, location: { line: 4, column: 7 }, note: 'consider removing it', suggestion: { action: 'remove' } },
+      { id: 'terraform-apply', name: 'terraform apply', severity: 'HIGH', description: 'Changes production infrastructure', permission: 'Bash(terraform apply:*)' },
+    ],
+  },
+  {
+    file: '/projects/lib/.claude/settings.local.json',
+    scope: 'local',
+    issues: [
+      { id: 'eval', name: 'eval', severity: 'MEDIUM', description: 'Executes strings as code, potential injection risk', permission: 'Bash(eval "<script>alert(1)</script>")', note: 'consider replacing with "Bash(make)" or moving to "ask"', suggestion: { action: 'replace', replacement: 'Bash(make)' } },
+    ],
+    errors: [{ type: 'shape', message: 'Permission entries must be strings, got a number' }],
+  },
+];
+
+describe('formatHtml', () => {
+  const html = formatHtml({ root: '/projects', files: ['a', 'b', 'c'], findings, time: new Date('2026-05-04T12:00:00Z') });
+
+  test('is a complete document that loads nothing from elsewhere', () => {
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(html.endsWith('</html>'));
+    assert.doesNotMatch(html, /<link|<script src|@import|url\(/);
+  });
+
+  test('escapes text from settings files', () => {
+    assert.ok(html.includes('Bash(eval &quot;&lt;script&gt;alert(1)&lt;/script&gt;&quot;)'));
+    assert.ok(!html.includes('<script>alert(1)'));
+  });
+
+  test('has one filterable row per issue', () => {
+    const rows = html.match(/<tr data-severity="[A-Z]+" data-rule="[^"]+" data-project="[^"]+">/g);
+    assert.strictEqual(rows.length, 3);
+    assert.ok(html.includes('<tr data-severity="MEDIUM" data-rule="eval" data-project="lib">'));
+    assert.ok(html.includes('<option value="terraform-apply">terraform apply</option>'));
+    assert.ok(html.includes('<option value="app">app</option>'));
+    assert.ok(html.includes('<code>app/.claude/settings.json:4</code>'));
+    assert.ok(html.includes('on <code>~/</code> (the home directory)'));
+  });
+
+  test('shows the suggestion for each finding once', () => {
+    assert.ok(html.includes('<td>Replace with <code>Bash(make)</code></td>'));
+    assert.ok(html.includes('<td>Remove</td>'));
+    assert.ok(!html.includes('consider'));
+  });
+
+  test('describes each reported rule with its remediation', () => {
+    assert.ok(html.includes('id="rule-rm-force"'));
+    assert.ok(html.includes('<strong>Remediation:</strong> Allow rm -rf only on specific build output'));
+    // Custom rules not in the rule list still get a card
+    assert.ok(html.includes('id="rule-terraform-apply"'));
+    assert.ok(!html.includes('id="rule-git-push"'));
+  });
+
+  test('summarizes totals, project scores and errors', () => {
+    assert.ok(html.includes('Scanned 3 settings file(s) in <code>/projects</code> on 2026-05-04T12:00:00.000Z'));
+    assert.ok(html.includes('<tr><td>app</td><td class="number">20</td>'));
+    assert.ok(html.includes('<code>lib/.claude/settings.local.json</code>: shape: Permission entries must be strings, got a number'));
+  });
+
+  test('says so when nothing was found', () => {
+    const empty = formatHtml({ root: '/projects', files: ['a'], findings: [] });
+    assert.ok(empty.includes('<p>No dangerous patterns found.</p>'));
+    assert.ok(!empty.includes('id="findings"'));
+  });
+});
@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { reviewFindings } from '../lib/interactive.js';
+
+const issue = (name, path, severity = 'HIGH') => ({
+  name,
+  severity,
+  description: `${name} description`,
+  permission: `Bash(${name})`,
+  path,
+});
+
+const findings = [
+  {
+    file: '/work/app/.claude/settings.json',
+    scope: 'project',
+    issues: [
+      issue('rm -rf', 'permissions.allow[0]'),
+      issue('git push', 'permissions.allow[1]', 'LOW'),
+      issue('deny (shadowed)', 'permissions.deny[0]', 'LOW'),
+    ],
+  },
+  {
+    file: '/work/lib/.claude/settings.local.json',
+    scope: 'local',
+    issues: [issue('eval', 'permissions.allow[3]', 'MEDIUM')],
+  },
+];
+
+// Prompt that replays answers and records every question
+function scripted(...answers) {
+  const questions = [];
+  const prompt = async (question) => {
+    questions.push(question);
+    return answers.shift() ?? 'q';
+  };
+  return { prompt, questions };
+}
+
+const quiet = { write: () => {} };
+
+describe('reviewFindings', () => {
+  test('collects edits and baseline entries per file', async () => {
+    const { prompt } = scripted('a', 'b', 'r', 'k');
+    const { edits, baseline } = await reviewFindings(findings, prompt, quiet);
+
+    assert.deepStrictEqual(edits.get('/work/app/.claude/settings.json'), {
+      remove: ['permissions.deny[0]'],
+      moveToAsk: ['permissions.allow[0]'],
+    });
+    assert.strictEqual(edits.has('/work/lib/.claude/settings.local.json'), false);
+    assert.deepStrictEqual(baseline.map(({ issue }) => issue.name), ['git push']);
+  });
+
+  test('stops at quit and keeps decisions made so far', async () => {
+    const { prompt, questions } = scripted('r', 'q');
+    const { edits } = await reviewFindings(findings, prompt, quiet);
+    assert.strictEqual(questions.length, 2);
+    assert.deepStrictEqual(edits.get('/work/app/.claude/settings.json').remove, ['permissions.allow[0]']);
+  });
+
+  test('re-asks on unknown answers', async () => {
+    const { prompt, questions } = scripted('x', '', 'keep', 'k', 'k', 'k');
+    await reviewFindings(findings, prompt, quiet);
+    assert.strictEqual(questions.length, 6);
+  });
+
+  test('only offers moving allow entries to ask', async () => {
+    const { prompt, questions } = scripted('k', 'k', 'a', 'k', 'k');
+    const { edits } = await reviewFindings(findings, prompt, quiet);
+    assert.ok(!questions[2].includes('(a)sk'));
+    assert.strictEqual(questions.length, 5);
+    assert.strictEqual(edits.size, 0);
+  });
+
+  test('only offers keeping or baselining hook commands', async () => {
+    const hooks = [{ file: '/work/app/.claude/settings.json', issues: [issue('rm -rf', 'hooks.Stop[0].hooks[0].command')] }];
+    const { prompt, questions } = scripted('r', 'b');
+    const { edits, baseline } = await reviewFindings(hooks, prompt, quiet);
+    assert.ok(!questions[0].includes('(r)emove'));
+    assert.strictEqual(questions.length, 2);
+    assert.strictEqual(edits.size, 0);
+    assert.strictEqual(baseline.length, 1);
+  });
+
+  test('does not ask again about an entry that was already edited', async () => {
+    const sameEntry = [{
+      file: '/work/app/.claude/settings.json',
+      issues: [issue('chmod 777', 'permissions.allow[0]'), issue('sudo', 'permissions.allow[0]', 'MEDIUM')],
+    }];
+    const { prompt, questions } = scripted('r');
+    const { edits } = await reviewFindings(sameEntry, prompt, quiet);
+    assert.strictEqual(questions.length, 1);
+    assert.deepStrictEqual(edits.get('/work/app/.claude/settings.json').remove, ['permissions.allow[0]']);
+  });
+});
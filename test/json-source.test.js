@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseJsonSource, joinPath, offsetToPosition } from '../lib/json-source.js';
+
+const SETTINGS = `{
+  "permissions": {
+    "allow": [
+      "Bash(npm test)",
+      "Bash(rm -rf:*)"
+    ]
+  }
+}
+`;
+
+describe('parseJsonSource', () => {
+  test('returns the same value as JSON.parse', () => {
+    const text = '{"a": [1, -2.5e3, true, false, null], "b c": {"d": "\\u00e9\\n"}}';
+    assert.deepStrictEqual(parseJsonSource(text).value, JSON.parse(text));
+  });
+
+  test('records the line and column of array entries', () => {
+    const { locations } = parseJsonSource(SETTINGS);
+    const location = locations.get('permissions.allow[1]');
+    assert.strictEqual(location.line, 5);
+    assert.strictEqual(location.column, 7);
+    assert.strictEqual(location.endLine, 5);
+    assert.strictEqual(location.endColumn, 23);
+    assert.strictEqual(SETTINGS.slice(location.start, location.end), '"Bash(rm -rf:*)"');
+  });
+
+  test('records locations of containers', () => {
+    const { locations } = parseJsonSource(SETTINGS);
+    assert.strictEqual(locations.get('permissions').line, 2);
+    assert.strictEqual(locations.get('').start, 0);
+  });
+
+  test('keeps __proto__ as an ordinary key', () => {
+    const { value } = parseJsonSource('{"__proto__": {"polluted": true}}');
+    assert.strictEqual(Object.getPrototypeOf(value), Object.prototype);
+    assert.deepStrictEqual(Object.keys(value), ['__proto__']);
+  });
+
+  test('reports line and column of a trailing comma', () => {
+    const text = '{\n  "permissions": {\n    "allow": ["Bash(ls)",]\n  }\n}';
+    assert.throws(() => parseJsonSource(text), err => {
+      assert.ok(err instanceof SyntaxError);
+      assert.strictEqual(err.line, 3);
+      assert.strictEqual(err.column, 26);
+      return true;
+    });
+  });
+
+  test('rejects trailing content and empty input', () => {
+    assert.throws(() => parseJsonSource('{} {}'), SyntaxError);
+    assert.throws(() => parseJsonSource(''), /Unexpected end of JSON input/);
+  });
+
+  test('rejects invalid escapes and bare words', () => {
+    assert.throws(() => parseJsonSource('"\\x"'), /Invalid string/);
+    assert.throws(() => parseJsonSource('{"a": tru}'), SyntaxError);
+  });
+});
+
+describe('joinPath', () => {
+  test('uses dot notation for identifier keys', () => {
+    assert.strictEqual(joinPath('', 'permissions'), 'permissions');
+    assert.strictEqual(joinPath('permissions', 'allow'), 'permissions.allow');
+  });
+
+  test('uses brackets for indexes and other keys', () => {
+    assert.strictEqual(joinPath('permissions.allow', 0), 'permissions.allow[0]');
+    assert.strictEqual(joinPath('env', 'MY-VAR'), 'env["MY-VAR"]');
+  });
+});
+
+describe('offsetToPosition', () => {
+  test('converts offsets to 1-based line and column', () => {
+    assert.deepStrictEqual(offsetToPosition('ab\ncd', 0), { line: 1, column: 1 });
+    assert.deepStrictEqual(offsetToPosition('ab\ncd', 4), { line: 2, column: 2 });
+  });
+});
@@ -0,0 +1,159 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { summarize, formatText, formatJson, formatWatchText, formatRiskText, formatRiskJson } from '../lib/report.js';
+
+const findings = [
+  {
+    file: '/projects/app/.claude/settings.json',
+    issues: [
+      { id: 'rm-force', name: 'rm -rf', severity: 'HIGH', description: 'Force-deletes files without confirmation', permission: 'Bash(rm -rf:*)', path: 'permissions.allow[0]', location: { line: 4, column: 7 }, suggestion: { action: 'replace', replacement: 'Bash(rm -rf ./dist)' } },
+      { id: 'git-push', name: 'git push', severity: 'LOW', description: 'Pushes commits to remote repository', permission: 'Bash(git push)', path: 'permissions.allow[2]' },
+    ],
+  },
+  {
+    file: '/projects/lib/.claude/settings.local.json',
+    issues: [
+      { id: 'eval', name: 'eval', severity: 'MEDIUM', description: 'Executes strings as code, potential injection risk', permission: 'Bash(eval $CMD)', path: 'permissions.allow[1]' },
+    ],
+  },
+];
+
+const brokenFile = {
+  file: '/projects/broken/.claude/settings.json',
+  issues: [],
+  errors: [{ type: 'parse', message: 'Unexpected token "]" at line 5 column 5', location: { line: 5, column: 5 } }],
+};
+
+describe('summarize', () => {
+  test('counts issues by severity', () => {
+    assert.deepStrictEqual(summarize(findings), { high: 1, medium: 1, low: 1, total: 3, errors: 0 });
+  });
+
+  test('returns zero counts for no findings', () => {
+    assert.deepStrictEqual(summarize([]), { high: 0, medium: 0, low: 0, total: 0, errors: 0 });
+  });
+
+  test('counts settings file errors', () => {
+    assert.strictEqual(summarize([...findings, brokenFile]).errors, 1);
+  });
+});
+
+describe('formatText', () => {
+  test('lists issues under each file with a summary line', () => {
+    const output = formatText(findings);
+    assert.ok(output.includes('/projects/app/.claude/settings.json\n  [HIGH] rm -rf: "Bash(rm -rf:*)"'));
+    assert.ok(output.endsWith('Summary: 1 high, 1 medium, 1 low risk pattern(s) found'));
+  });
+
+  test('reports when nothing was found', () => {
+    assert.strictEqual(formatText([]), 'No dangerous patterns found.');
+  });
+
+  test('lists settings file errors', () => {
+    const output = formatText([brokenFile]);
+    assert.ok(output.includes('  [ERROR] parse: Unexpected token "]" at line 5 column 5'));
+    assert.ok(output.endsWith('Summary: 1 settings file error(s)'));
+  });
+
+  test('names the argument a destructive command targets', () => {
+    const output = formatText([{
+      file: '/projects/app/.claude/settings.json',
+      issues: [{ id: 'rm-force', name: 'rm -rf', severity: 'HIGH', description: 'Force-deletes files without confirmation', permission: 'Bash(rm -rf ~/)', target: { argument: '~/', reason: 'the home directory' } }],
+    }]);
+    assert.ok(output.includes('  [HIGH] rm -rf: "Bash(rm -rf ~/)" on "~/" (the home directory)'));
+  });
+
+  test('adds the position of shape errors', () => {
+    const output = formatText([{
+      file: '/projects/app/.claude/settings.json',
+      issues: [],
+      errors: [{ type: 'shape', message: 'Permission entries must be strings, got a number', location: { line: 4, column: 7 } }],
+    }]);
+    assert.ok(output.includes('[ERROR] shape: Permission entries must be strings, got a number (line 4, column 7)'));
+  });
+});
+
+describe('formatJson', () => {
+  test('includes root, scanned files, issues and summary', () => {
+    const files = [
+      '/projects/app/.claude/settings.json',
+      '/projects/lib/.claude/settings.local.json',
+      '/projects/clean/.claude/settings.json',
+    ];
+    const report = JSON.parse(formatJson({ root: '/projects', files, findings }));
+
+    assert.strictEqual(report.root, '/projects');
+    assert.deepStrictEqual(report.files, files);
+    assert.strictEqual(report.findings.length, 2);
+    assert.deepStrictEqual(report.findings[0].issues[0], {
+      id: 'rm-force',
+      name: 'rm -rf',
+      severity: 'HIGH',
+      description: 'Force-deletes files without confirmation',
+      permission: 'Bash(rm -rf:*)',
+      suggestion: { action: 'replace', replacement: 'Bash(rm -rf ./dist)' },
+      path: 'permissions.allow[0]',
+      line: 4,
+      column: 7,
+    });
+    assert.deepStrictEqual(report.summary, { files: 3, high: 1, medium: 1, low: 1, total: 3, errors: 0 });
+  });
+
+  test('includes settings file errors', () => {
+    const report = JSON.parse(formatJson({ root: '/projects', files: [brokenFile.file], findings: [brokenFile] }));
+    assert.deepStrictEqual(report.findings[0].errors, [
+      { type: 'parse', message: 'Unexpected token "]" at line 5 column 5', line: 5, column: 5 },
+    ]);
+    assert.strictEqual(report.summary.errors, 1);
+  });
+
+  test('produces a valid document when nothing was found', () => {
+    const report = JSON.parse(formatJson({ root: '/empty', files: [], findings: [] }));
+    assert.deepStrictEqual(report.findings, []);
+    assert.strictEqual(report.summary.total, 0);
+  });
+});
+
+describe('formatWatchText', () => {
+  test('prefixes each file with the local time of the scan', () => {
+    const text = formatWatchText(findings, new Date(2026, 4, 4, 14, 3, 9));
+    assert.match(text, /^\[2026-05-04 14:03:09\] \/projects\/app\/\.claude\/settings\.json\n {2}\[HIGH\] rm -rf: "Bash\(rm -rf:\*\)"/);
+    assert.match(text, /\n\n\[2026-05-04 14:03:09\] \/projects\/lib\/\.claude\/settings\.local\.json\n/);
+    assert.doesNotMatch(text, /Summary/);
+  });
+});
+
+describe('formatRiskText', () => {
+  const scoped = findings.map(finding => ({ ...finding, scope: 'project' }));
+
+  test('ranks projects and files relative to the root, and counts rules', () => {
+    const output = formatRiskText({ root: '/projects', files: ['a', 'b', 'c'], findings: scoped });
+    assert.ok(output.startsWith('Risk score: 10 per HIGH, 3 per MEDIUM, 1 per LOW finding\n'));
+    assert.ok(output.includes([
+      'Projects (worst first):',
+      '  Score  High  Medium  Low  Files  Project',
+      '     11     1       0    1      1  app',
+      '      3     0       1    0      1  lib',
+    ].join('\n')));
+    assert.ok(output.includes('     11     1       0    1       0  app/.claude/settings.json [project]'));
+    assert.ok(output.includes('         1         1  HIGH      rm -rf'));
+    assert.ok(output.endsWith('Scanned 3 settings file(s)\nSummary: 1 high, 1 medium, 1 low risk pattern(s) found'));
+  });
+
+  test('reports when nothing was found', () => {
+    const output = formatRiskText({ root: '/projects', files: ['a'], findings: [] });
+    assert.ok(output.includes('No dangerous patterns found.'));
+    assert.ok(!output.includes('Projects (worst first)'));
+  });
+});
+
+describe('formatRiskJson', () => {
+  test('includes weights, scores, rule totals and summary', () => {
+    const report = JSON.parse(formatRiskJson({ root: '/projects', files: ['a', 'b'], findings }));
+    assert.deepStrictEqual(report.weights, { HIGH: 10, MEDIUM: 3, LOW: 1 });
+    assert.strictEqual(report.projects[0].project, '/projects/app');
+    assert.strictEqual(report.projects[0].score, 11);
+    assert.strictEqual(report.rules.length, 3);
+    assert.strictEqual(report.summary.files, 2);
+  });
+});
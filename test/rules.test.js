@@ -0,0 +1,119 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseRule, ruleCovers, matchesToolCall, findCoveringRule, ruleProblem, commandParts } from '../lib/rules.js';
+
+describe('parseRule', () => {
+  test('parses bare tool rules', () => {
+    assert.deepStrictEqual(parseRule('Bash'), { tool: 'Bash', specifier: null, prefix: false });
+  });
+
+  test('parses exact specifiers', () => {
+    assert.deepStrictEqual(parseRule('Bash(npm test)'), { tool: 'Bash', specifier: 'npm test', prefix: false });
+  });
+
+  test('parses prefix specifiers', () => {
+    assert.deepStrictEqual(parseRule('Bash(npm run test:*)'), { tool: 'Bash', specifier: 'npm run test', prefix: true });
+  });
+
+  test('keeps parentheses inside the specifier', () => {
+    assert.strictEqual(parseRule('Bash(echo $(date))').specifier, 'echo $(date)');
+  });
+
+  test('returns null for malformed rules', () => {
+    assert.strictEqual(parseRule('Bash(npm test'), null);
+    assert.strictEqual(parseRule(''), null);
+    assert.strictEqual(parseRule(42), null);
+  });
+});
+
+describe('ruleCovers', () => {
+  const covers = (broad, narrow) => ruleCovers(parseRule(broad), parseRule(narrow));
+
+  test('bare tool covers every rule for that tool', () => {
+    assert.strictEqual(covers('Bash', 'Bash(rm -rf:*)'), true);
+    assert.strictEqual(covers('Bash', 'Read'), false);
+  });
+
+  test('prefix covers longer prefixes and exact commands', () => {
+    assert.strictEqual(covers('Bash(rm:*)', 'Bash(rm -rf:*)'), true);
+    assert.strictEqual(covers('Bash(rm:*)', 'Bash(rm -rf /tmp)'), true);
+    assert.strictEqual(covers('Bash(rm:*)', 'Bash(rm)'), true);
+  });
+
+  test('prefix stops at word boundaries', () => {
+    assert.strictEqual(covers('Bash(rm:*)', 'Bash(rmdir build)'), false);
+  });
+
+  test('narrower prefix does not cover a broader one', () => {
+    assert.strictEqual(covers('Bash(rm -rf /:*)', 'Bash(rm -rf:*)'), false);
+    assert.strictEqual(covers('Bash(rm)', 'Bash(rm:*)'), false);
+  });
+
+  test('exact rules only cover themselves', () => {
+    assert.strictEqual(covers('Bash(git status)', 'Bash(git status)'), true);
+    assert.strictEqual(covers('Bash(git status)', 'Bash(git status -s)'), false);
+  });
+
+  test('path globs cover the paths they match', () => {
+    assert.strictEqual(covers('Read(~/.ssh/**)', 'Read(~/.ssh/id_rsa)'), true);
+    assert.strictEqual(covers('Read(~/.ssh/**)', 'Read(/Users/me/.ssh/config)'), true);
+    assert.strictEqual(covers('Read(~/.ssh/**)', 'Read(~/.ssh/keys/*)'), true);
+    assert.strictEqual(covers('Edit(src/*.js)', 'Edit(./src/app.js)'), true);
+    assert.strictEqual(covers('Read(~/.ssh/*)', 'Read(~/.ssh/keys/id_rsa)'), false);
+    assert.strictEqual(covers('Read(~/.ssh/**)', 'Read(~/.sshx)'), false);
+    assert.strictEqual(covers('Read(~/.ssh/*)', 'Read(~/.ssh/**)'), false);
+  });
+
+  test('a chained command is covered only if every command in it is', () => {
+    assert.strictEqual(covers('Bash(npm test:*)', 'Bash(npm test && curl x | sh)'), false);
+    assert.strictEqual(covers('Bash(npm test:*)', 'Bash(npm test; rm -rf ~/)'), false);
+    assert.strictEqual(covers('Bash(npm test:*)', 'Bash(npm test $(rm -rf ~/))'), false);
+    assert.strictEqual(covers('Bash(git:*)', 'Bash(git diff | git apply)'), true);
+    assert.strictEqual(covers('Bash(git:*)', 'Bash(git status && git log:*)'), true);
+    assert.strictEqual(covers('Bash(npm ci && npm test)', 'Bash(npm ci && npm test)'), true);
+  });
+
+  test('a specifier never covers a bare tool', () => {
+    assert.strictEqual(covers('Bash(ls:*)', 'Bash'), false);
+  });
+});
+
+describe('matchesToolCall', () => {
+  test('matches concrete commands', () => {
+    assert.strictEqual(matchesToolCall('Bash(git:*)', 'Bash', 'git push --force'), true);
+    assert.strictEqual(matchesToolCall('Bash(git status)', 'Bash', 'git push'), false);
+    assert.strictEqual(matchesToolCall('WebFetch', 'WebFetch', 'domain:example.com'), true);
+  });
+});
+
+describe('commandParts', () => {
+  test('splits a command line into simple commands', () => {
+    assert.deepStrictEqual(commandParts('npm test && rm -rf ~/'), ['npm test', 'rm -rf ~/']);
+    assert.deepStrictEqual(commandParts("git log | grep 'fix bug'; echo done"), ['git log', 'grep fix bug', 'echo done']);
+    assert.deepStrictEqual(commandParts('echo $(whoami)'), ['echo $(whoami)', 'whoami']);
+  });
+});
+
+describe('findCoveringRule', () => {
+  test('returns the first covering rule', () => {
+    assert.strictEqual(findCoveringRule(['Read', 'Bash(git:*)', 'Bash'], 'Bash(git push)'), 'Bash(git:*)');
+    assert.strictEqual(findCoveringRule(['Read'], 'Bash(git push)'), undefined);
+  });
+});
+
+describe('ruleProblem', () => {
+  test('accepts well-formed rules', () => {
+    assert.strictEqual(ruleProblem('Bash(rm:*)'), null);
+    assert.strictEqual(ruleProblem('mcp__github__create_issue'), null);
+  });
+
+  test('flags unknown or lowercase tool names', () => {
+    assert.match(ruleProblem('bash(rm:*)'), /Unknown tool "bash"/);
+  });
+
+  test('flags malformed rules and misplaced wildcards', () => {
+    assert.match(ruleProblem('Bash(rm'), /Malformed/);
+    assert.match(ruleProblem('Bash()'), /Empty specifier/);
+    assert.match(ruleProblem('Bash(git:* push)'), /only works at the end/);
+  });
+});
@@ -0,0 +1,87 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { formatSarif } from '../lib/sarif.js';
+import { RULES } from '../lib/checker.js';
+
+const findings = [
+  {
+    file: '/projects/app/.claude/settings.json',
+    issues: [
+      {
+        id: 'rm-force',
+        name: 'rm -rf',
+        severity: 'HIGH',
+        description: 'Force-deletes files without confirmation',
+        permission: 'Bash(rm -rf:*)',
+        path: 'permissions.allow[1]',
+        location: { line: 5, column: 7, endLine: 5, endColumn: 23 },
+        suggestion: { action: 'replace', replacement: 'Bash(rm -rf ./dist)' },
+      },
+      {
+        id: 'git-push',
+        name: 'git push',
+        severity: 'LOW',
+        description: 'Pushes commits to remote repository',
+        permission: 'Bash(git push)',
+        path: 'permissions.allow[2]',
+        location: { line: 6, column: 7, endLine: 6, endColumn: 23 },
+      },
+    ],
+  },
+];
+
+describe('formatSarif', () => {
+  const log = JSON.parse(formatSarif({ root: '/projects', findings }));
+  const [run] = log.runs;
+
+  test('produces a SARIF 2.1.0 log with one run', () => {
+    assert.strictEqual(log.version, '2.1.0');
+    assert.strictEqual(log.runs.length, 1);
+    assert.strictEqual(run.tool.driver.name, 'cc-safe');
+  });
+
+  test('declares a rule for every checker rule', () => {
+    assert.deepStrictEqual(run.tool.driver.rules.map(r => r.id), RULES.map(r => r.id));
+    const sudo = run.tool.driver.rules.find(r => r.id === 'sudo');
+    assert.strictEqual(sudo.defaultConfiguration.level, 'warning');
+    assert.strictEqual(sudo.help.text, 'Remove the rule and run commands that need root yourself');
+  });
+
+  test('maps severities to SARIF levels', () => {
+    assert.deepStrictEqual(run.results.map(r => r.level), ['error', 'note']);
+  });
+
+  test('points results at the line of the offending entry', () => {
+    const [result] = run.results;
+    assert.strictEqual(result.ruleId, 'rm-force');
+    assert.strictEqual(run.tool.driver.rules[result.ruleIndex].id, 'rm-force');
+    const { artifactLocation, region } = result.locations[0].physicalLocation;
+    assert.deepStrictEqual(artifactLocation, { uri: 'app/.claude/settings.json', uriBaseId: '%SRCROOT%' });
+    assert.deepStrictEqual(region, { startLine: 5, startColumn: 7, endLine: 5, endColumn: 23 });
+  });
+
+  test('carries the suggested alternative in result properties', () => {
+    assert.deepStrictEqual(run.results[0].properties.suggestion, { action: 'replace', replacement: 'Bash(rm -rf ./dist)' });
+    assert.strictEqual(run.results[1].properties.suggestion, undefined);
+  });
+
+  test('uses absolute URIs for files outside the scan root', () => {
+    const outside = JSON.parse(formatSarif({ root: '/projects/app', findings: [{ ...findings[0], file: '/home/me/.claude/settings.json' }] }));
+    const { artifactLocation } = outside.runs[0].results[0].locations[0].physicalLocation;
+    assert.deepStrictEqual(artifactLocation, { uri: 'file:///home/me/.claude/settings.json' });
+  });
+
+  test('reports settings file errors as tool notifications', () => {
+    const broken = {
+      file: '/projects/broken/.claude/settings.json',
+      issues: [],
+      errors: [{ type: 'parse', message: 'Unexpected token "]" at line 5 column 5', location: { line: 5, column: 5 } }],
+    };
+    const withErrors = JSON.parse(formatSarif({ root: '/projects', findings: [broken] }));
+    const [invocation] = withErrors.runs[0].invocations;
+    assert.strictEqual(invocation.executionSuccessful, false);
+    assert.strictEqual(invocation.toolExecutionNotifications.length, 1);
+    assert.deepStrictEqual(invocation.toolExecutionNotifications[0].locations[0].physicalLocation.region, { startLine: 5, startColumn: 5 });
+    assert.strictEqual(run.invocations[0].executionSuccessful, true);
+  });
+});
@@ -0,0 +1,69 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'node:path';
+import {
+  SCOPES,
+  scopeOf,
+  winningScope,
+  resolveScopes,
+  userSettingsPath,
+  managedSettingsPath,
+} from '../lib/scopes.js';
+
+describe('scopeOf', () => {
+  let savedConfigDir;
+
+  beforeEach(() => {
+    savedConfigDir = process.env.CLAUDE_CONFIG_DIR;
+    process.env.CLAUDE_CONFIG_DIR = '/home/me/.claude';
+  });
+
+  afterEach(() => {
+    if (savedConfigDir === undefined) delete process.env.CLAUDE_CONFIG_DIR;
+    else process.env.CLAUDE_CONFIG_DIR = savedConfigDir;
+  });
+
+  test('classifies project and local settings', () => {
+    assert.strictEqual(scopeOf('/work/app/.claude/settings.json'), 'project');
+    assert.strictEqual(scopeOf('/work/app/.claude/settings.local.json'), 'local');
+  });
+
+  test('classifies the user settings file', () => {
+    assert.strictEqual(userSettingsPath(), join('/home/me/.claude', 'settings.json'));
+    assert.strictEqual(scopeOf('/home/me/.claude/settings.json'), 'user');
+  });
+
+  test('classifies the managed policy file', () => {
+    assert.strictEqual(scopeOf(managedSettingsPath()), 'managed');
+  });
+});
+
+describe('managedSettingsPath', () => {
+  test('uses the documented location for each platform', () => {
+    assert.strictEqual(managedSettingsPath('linux'), '/etc/claude-code/managed-settings.json');
+    assert.strictEqual(managedSettingsPath('darwin'), '/Library/Application Support/ClaudeCode/managed-settings.json');
+    assert.strictEqual(managedSettingsPath('win32'), 'C:\\Program Files\\ClaudeCode\\managed-settings.json');
+  });
+});
+
+describe('winningScope', () => {
+  test('follows managed > local > project > user', () => {
+    assert.deepStrictEqual(SCOPES, ['managed', 'local', 'project', 'user']);
+    assert.strictEqual(winningScope(['user', 'project']), 'project');
+    assert.strictEqual(winningScope(['user', 'managed', 'local']), 'managed');
+  });
+});
+
+describe('resolveScopes', () => {
+  test('groups flagged permissions by scope', () => {
+    const issue = (permission) => ({ permission, severity: 'LOW' });
+    const resolution = resolveScopes([
+      { scope: 'user', issues: [issue('Bash(git push:*)'), issue('Bash(rm -rf:*)')] },
+      { scope: 'local', issues: [issue('Bash(git push:*)')] },
+    ]);
+    assert.deepStrictEqual(resolution, [
+      { permission: 'Bash(git push:*)', scopes: ['local', 'user'], winner: 'local' },
+      { permission: 'Bash(rm -rf:*)', scopes: ['user'], winner: 'user' },
+    ]);
+  });
+});
@@ -0,0 +1,130 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { tokenize, parseShell, innerCommands } from '../lib/shell.js';
+
+const argvs = (input) => parseShell(input).map(({ argv }) => argv);
+
+describe('tokenize', () => {
+  test('removes quotes and keeps quoted text in one word', () => {
+    const words = tokenize(`echo 'a b' "c $HOME" d\\ e $'f\\'g'`).map(({ value }) => value);
+    assert.deepStrictEqual(words, ['echo', 'a b', 'c $HOME', 'd e', "f'g"]);
+  });
+
+  test('splits operators even without surrounding spaces', () => {
+    const values = tokenize('a&&b||c;d|e>f').map(({ value }) => value);
+    assert.deepStrictEqual(values, ['a', '&&', 'b', '||', 'c', ';', 'd', '|', 'e', '>', 'f']);
+  });
+
+  test('drops file descriptor numbers in front of redirections', () => {
+    const values = tokenize('make 2>&1').map(({ value }) => value);
+    assert.deepStrictEqual(values, ['make', '>&', '1']);
+  });
+
+  test('records command substitutions, but not arithmetic', () => {
+    const [, word] = tokenize('echo "$(date) `whoami` $((1 + 2))"');
+    assert.deepStrictEqual(word.substitutions, ['date', 'whoami']);
+  });
+
+  test('skips comments', () => {
+    assert.deepStrictEqual(tokenize('ls # rm -rf /').map(({ value }) => value), ['ls']);
+  });
+});
+
+describe('parseShell', () => {
+  test('splits lists and pipelines into simple commands', () => {
+    assert.deepStrictEqual(argvs('cd a && make || echo fail; ls | wc -l'), [
+      ['cd', 'a'],
+      ['make'],
+      ['echo', 'fail'],
+      ['ls'],
+      ['wc', '-l'],
+    ]);
+  });
+
+  test('records pipeline membership and position', () => {
+    const [curl, sh] = parseShell('curl -s https://example.com | sh');
+    assert.strictEqual(curl.pipeline, sh.pipeline);
+    assert.strictEqual(sh.position, 1);
+  });
+
+  test('parses commands in subshells, groups and substitutions', () => {
+    assert.deepStrictEqual(argvs('(cd a; make) && { echo $(git rev-parse HEAD); }'), [
+      ['cd', 'a'],
+      ['make'],
+      ['echo', '$(git rev-parse HEAD)'],
+      ['git', 'rev-parse', 'HEAD'],
+    ]);
+  });
+
+  test('keeps heredoc bodies out of the command list', () => {
+    const input = `git commit -m "$(cat <<'EOF'
+Remove sudo (and rm -rf) from the docs
+EOF
+)"`;
+    assert.deepStrictEqual(argvs(input).map(([name]) => name), ['git', 'cat']);
+  });
+
+  test('parses substitutions in unquoted heredoc bodies', () => {
+    assert.deepStrictEqual(argvs('cat <<EOF\n$(whoami)\nEOF\necho done'), [['cat'], ['echo', 'done'], ['whoami']]);
+  });
+
+  test('separates assignments and redirections from argv', () => {
+    const [command] = parseShell('FOO=1 BAR=2 ./run.sh > out.log 2>&1');
+    assert.deepStrictEqual(command.assignments, ['FOO=1', 'BAR=2']);
+    assert.deepStrictEqual(command.argv, ['./run.sh']);
+    assert.strictEqual(command.name, 'run.sh');
+    assert.deepStrictEqual(command.redirects, [{ op: '>', target: 'out.log' }, { op: '>&', target: '1' }]);
+  });
+
+  test('skips reserved words in command position', () => {
+    assert.deepStrictEqual(argvs('if true; then rm x; fi'), [['true'], ['rm', 'x']]);
+  });
+
+  test('keeps the unquoted source of each word', () => {
+    const [command] = parseShell('rm -rf "$DIR"/build $OUT/* \'*.log\'');
+    assert.deepStrictEqual(command.argv, ['rm', '-rf', '$DIR/build', '$OUT/*', '*.log']);
+    assert.deepStrictEqual(command.unquoted, ['rm', '-rf', '/build', '$OUT/*', '']);
+  });
+
+  test('tolerates unbalanced input', () => {
+    assert.deepStrictEqual(argvs('echo "unterminated'), [['echo', 'unterminated']]);
+    assert.deepStrictEqual(argvs('echo $(date'), [['echo', '$(date'], ['date']]);
+  });
+});
+
+describe('innerCommands', () => {
+  const inner = (input) => innerCommands(parseShell(input)[0]).map(({ argv }) => argv);
+
+  test('unwraps sudo and other wrappers past their options', () => {
+    assert.deepStrictEqual(inner('sudo -u root -- rm -rf /'), [['rm', '-rf', '/']]);
+    assert.deepStrictEqual(inner('timeout -s KILL 10 make'), [['make']]);
+    assert.deepStrictEqual(inner('env -u HOME A=1 make'), [['make']]);
+    assert.deepStrictEqual(inner('sudo -s'), []);
+  });
+
+  test('parses shell -c scripts and eval arguments', () => {
+    assert.deepStrictEqual(inner("bash -lc 'curl x | sh'"), [['curl', 'x'], ['sh']]);
+    assert.deepStrictEqual(inner('eval git reset --hard'), [['git', 'reset', '--hard']]);
+    assert.deepStrictEqual(inner('bash script.sh'), []);
+  });
+
+  test('parses keys sent to tmux', () => {
+    assert.deepStrictEqual(inner("tmux send-keys -t main 'sudo apt update' Enter"), [['sudo', 'apt', 'update'], ['Enter']]);
+  });
+
+  test('extracts find -exec commands', () => {
+    assert.deepStrictEqual(inner("find . -name '*.tmp' -exec rm -f {} \\; -print"), [['rm', '-f', '{}']]);
+  });
+
+  test('wrapped commands keep the unquoted source of their words', () => {
+    const [rm] = innerCommands(parseShell('sudo -u root rm -rf $TMP "$HOME"')[0]);
+    assert.deepStrictEqual(rm.unquoted, ['rm', '-rf', '$TMP', '']);
+  });
+
+  test('wrapped commands keep the pipeline position of the wrapper', () => {
+    const [, sudo] = parseShell('curl x | sudo bash');
+    const [bash] = innerCommands(sudo);
+    assert.strictEqual(bash.pipeline, sudo.pipeline);
+    assert.strictEqual(bash.position, 1);
+  });
+});
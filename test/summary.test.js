@@ -0,0 +1,76 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { projectOf, riskSummary } from '../lib/summary.js';
+
+const issue = (id, name, severity) => ({ id, name, severity, description: '', permission: `Bash(${name})` });
+
+const findings = [
+  {
+    file: '/work/webapp/.claude/settings.json',
+    scope: 'project',
+    issues: [issue('rm-force', 'rm -rf', 'HIGH'), issue('git-push', 'git push', 'LOW')],
+  },
+  {
+    file: '/work/webapp/.claude/settings.local.json',
+    scope: 'local',
+    issues: [issue('sudo', 'sudo', 'MEDIUM')],
+  },
+  {
+    file: '/work/webapp/.mcp.json',
+    scope: 'project',
+    issues: [],
+    errors: [{ type: 'parse', message: 'Unexpected end of input' }],
+  },
+  {
+    file: '/work/scripts/.claude/settings.json',
+    scope: 'project',
+    issues: [issue('git-push', 'git push', 'LOW'), issue('git-push', 'git push', 'MEDIUM')],
+  },
+  {
+    file: '/home/you/.claude/settings.json',
+    scope: 'user',
+    issues: [issue('git-push', 'git push', 'LOW')],
+  },
+];
+
+describe('projectOf', () => {
+  test('is the directory holding .claude or .mcp.json', () => {
+    assert.strictEqual(projectOf('/work/webapp/.claude/settings.local.json', 'local'), '/work/webapp');
+    assert.strictEqual(projectOf('/work/webapp/.mcp.json', 'project'), '/work/webapp');
+  });
+
+  test('is null for user and managed settings', () => {
+    assert.strictEqual(projectOf('/home/you/.claude/settings.json', 'user'), null);
+    assert.strictEqual(projectOf('/etc/claude-code/managed-settings.json', 'managed'), null);
+  });
+});
+
+describe('riskSummary', () => {
+  const { files, projects, rules } = riskSummary(findings);
+
+  test('scores projects across their settings files, worst first', () => {
+    assert.deepStrictEqual(projects, [
+      { project: '/work/webapp', files: 3, score: 14, high: 1, medium: 1, low: 1, errors: 1 },
+      { project: '/work/scripts', files: 1, score: 4, high: 0, medium: 1, low: 1, errors: 0 },
+    ]);
+  });
+
+  test('scores each settings file, worst first', () => {
+    assert.deepStrictEqual(files.map(({ file, score }) => [file, score]), [
+      ['/work/webapp/.claude/settings.json', 11],
+      ['/work/scripts/.claude/settings.json', 4],
+      ['/work/webapp/.claude/settings.local.json', 3],
+      ['/home/you/.claude/settings.json', 1],
+      ['/work/webapp/.mcp.json', 0],
+    ]);
+  });
+
+  test('counts the projects each rule turns up in', () => {
+    assert.deepStrictEqual(rules[0], { id: 'git-push', name: 'git push', severity: 'MEDIUM', findings: 4, projects: 3 });
+    assert.deepStrictEqual(rules.map(({ id }) => id), ['git-push', 'rm-force', 'sudo']);
+  });
+
+  test('is empty for no findings', () => {
+    assert.deepStrictEqual(riskSummary([]), { files: [], projects: [], rules: [] });
+  });
+});
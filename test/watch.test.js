@@ -0,0 +1,70 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { findingKeys, newFindings, watchTargets, watchSettings } from '../lib/watch.js';
+
+const rmRf = { id: 'rm-force', name: 'rm -rf', severity: 'HIGH', permission: 'Bash(rm -rf:*)', location: { line: 4, column: 7 } };
+const gitPush = { id: 'git-push', name: 'git push', severity: 'LOW', permission: 'Bash(git push)', location: { line: 5, column: 7 } };
+const file = '/projects/app/.claude/settings.local.json';
+
+describe('newFindings', () => {
+  test('keeps only issues and errors that were not seen before', () => {
+    const seen = findingKeys('/projects', [{ file, issues: [gitPush], errors: [] }]);
+    // Line numbers shift as entries are added; the issue is still the same
+    const moved = { ...gitPush, location: { line: 6, column: 7 } };
+    const error = { type: 'shape', message: '"permissions.allow" must be an array' };
+
+    assert.deepStrictEqual(newFindings('/projects', [{ file, issues: [rmRf, moved], errors: [error] }], seen), [
+      { file, issues: [rmRf], errors: [error] },
+    ]);
+  });
+
+  test('drops findings with nothing new', () => {
+    const findings = [{ file, issues: [gitPush], errors: [] }];
+    assert.deepStrictEqual(newFindings('/projects', findings, findingKeys('/projects', findings)), []);
+  });
+});
+
+describe('watchTargets', () => {
+  test('watches settings directories for their files and projects for new .claude directories', () => {
+    const targets = watchTargets('/projects', [file, '/projects/app/.mcp.json']);
+    assert.deepStrictEqual(Object.fromEntries([...targets].map(([dir, names]) => [dir, [...names]])), {
+      '/projects': ['.claude', '.mcp.json'],
+      '/projects/app/.claude': ['settings.local.json'],
+      '/projects/app': ['.claude', '.mcp.json'],
+    });
+  });
+});
+
+describe('watchSettings', () => {
+  test('reports findings introduced after the first scan', async () => {
+    const root = await mkdtemp(join(tmpdir(), 'cc-safe-'));
+    await mkdir(join(root, '.claude'));
+    await writeFile(join(root, '.claude', 'settings.json'), JSON.stringify({ permissions: { allow: ['Bash(git push)'] } }));
+
+    let changed;
+    const change = new Promise((resolve) => {
+      changed = resolve;
+    });
+    const watcher = await watchSettings({ root, config: false, interval: 200 }, { onChange: changed });
+
+    try {
+      assert.strictEqual(watcher.findings[0].issues.length, 1);
+      await writeFile(
+        join(root, '.claude', 'settings.local.json'),
+        JSON.stringify({ permissions: { allow: ['Bash(git push)', 'Bash(rm -rf:*)'] } })
+      );
+
+      const { time, findings } = await change;
+      assert.ok(time instanceof Date);
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].file, join(root, '.claude', 'settings.local.json'));
+      assert.deepStrictEqual(findings[0].issues.map(({ permission }) => permission), ['Bash(git push)', 'Bash(rm -rf:*)']);
+    } finally {
+      watcher.close();
+      await rm(root, { recursive: true });
+    }
+  });
+});